@@ -7,6 +7,7 @@ function getExports() {
     return {
         config: require('./lib/config'),
         db: require('./lib/db'),
+        indexes: require('./lib/indexes'),
         logger: require('./lib/logger'),
         loggers: require('./lib/loggers'),
         tools: require('./lib/tools'),
@@ -20,6 +21,7 @@ function getExports() {
         query: require('./lib/query'),
         scopes: require('./lib/scopes'),
         lock: require('./lib/lock'),
+        migrations: require('./lib/migrations'),
         runtimeEnvironment: require('./lib/runtimeEnvironment'),
         awsCommon: require('./lib/aws-common'),
         awsSQSClient: require('./lib/aws-sqs-client'),
@@ -201,6 +201,24 @@ config.database.url = config.database.scheme + '://' + config.database.host + ':
 config.database.clientExpiry = 1800000;
 config.database.sharedConnections = false;
 
+//The most account databases to keep a connection for.  Once there are more, the
+//least recently used one is closed (see lib/connectionManager.js).
+config.database.maxClients = 100;
+
+//How many times db.withTransaction retries a transaction (or its commit) that
+//failed with an error MongoDB says is worth retrying.
+config.database.transactionRetries = 3;
+
+//Whether collections that have indexes declared for them (see lib/indexes.js)
+//get those indexes the first time they are used in each realm.  Turn this off
+//if indexes are managed some other way.
+config.database.ensureIndexes = true;
+
+//How long (in ms) to wait before trying again to create the indexes of a
+//collection when some of them couldn't be created (e.g. a unique index on a
+//collection with duplicates, see indexes.checkIndexes).
+config.database.ensureIndexesRetryDelay = 600000;
+
 //Information for communicating with the Event service.
 config.event = {};
 config.event.scheme = 'http';
@@ -401,6 +419,86 @@ config.action.url = config.action.scheme + '://' + config.action.host + config.a
 config.crud = {};
 config.crud.defaultLimit = 100;
 
+//Configuration defaults for the resource locking features. The lease time is
+//how long (in ms) a lock is held before it is considered stale and can be
+//taken over by another owner.  Long running work should renew the lease.
+config.lock = {};
+config.lock.leaseTime = 60000;
+
+//When waiting for a lock (see lock.acquireLock), how long (in ms) to wait before
+//giving up and the bounds of the backoff between attempts.
+config.lock.waitTimeout = 10000;
+config.lock.retryDelay = 50;
+config.lock.maxRetryDelay = 1000;
+
+//Configuration defaults for the security related features.  The bcrypt work
+//factor is the log2 of the number of hashing rounds. Raising it makes hashes
+//more expensive to compute (and crack). Existing hashes can be upgraded as
+//users log in (see security.needsRehash).
+config.security = {};
+config.security.bcryptWorkFactor = 10;
+
+//The algorithm for new password hashes (see security.hashPassword).  When it
+//isn't set, argon2id is used if the service has installed the (native) argon2
+//module, otherwise scrypt, or bcrypt on versions of Node without scrypt.  A
+//configured algorithm that can't be used falls back the same way.  The scrypt
+//cost is given as ln (log2 of N), r and p.
+config.security.passwordAlgorithm = undefined;
+config.security.scrypt = {ln: 15, r: 8, p: 1};
+
+//Configuration defaults for scopes.  A scope that hasn't been accessed for its
+//max inactive interval (in seconds) expires and is removed.  Scopes that track
+//their last accessed time in one of these fields get the default interval for
+//that field.  Otherwise, they only expire if an interval is set on the scope
+//(see scope.setMaxInactiveInterval).
+config.scopes = {};
+config.scopes.maxInactiveIntervals = {
+    _transactionLastModified: 60,
+    _sessionLastModified: 3600
+};
+
+//Environment, account and realm scopes rarely change so they can be cached in
+//each service instance.  The ttls (in ms) limit how stale a cached scope can get
+//when changes made by other instances can't be seen (see scopes.invalidateCachedScope).
+config.scopes.cache = {};
+config.scopes.cache.enabled = false;
+config.scopes.cache.maxEntries = 1000;
+config.scopes.cache.ttls = {
+    environment: 300000,
+    account: 60000,
+    realm: 60000
+};
+
+//Limits on what can be stored in each type of scope: the number of attributes,
+//the size of each attribute's value and the size of the whole scope (sizes are
+//in bytes, as JSON).  The default limits apply to any type of scope that doesn't
+//have its own.  Writes that would go over a limit are rejected with a
+//scopes.ScopeLimitError.  A limit of 0 means no limit and they are all off by
+//default.  Deployments that want them set their own, e.g.
+//config.scopes.limits.transaction = {maxAttributes: 200, maxValueSize: 262144, maxDocumentSize: 2097152}.
+config.scopes.limits = {
+    default: {maxAttributes: 0, maxValueSize: 0, maxDocumentSize: 0}
+};
+
+//How often (in ms) scopes.watch checks a scope for changes when it can't use a
+//change stream (e.g. the database isn't a replica set).
+config.scopes.watch = {};
+config.scopes.watch.pollInterval = 5000;
+
+//Where each type of scope is kept (see lib/scopeBackends.js).  Types that aren't
+//listed use the default backend.  For example, setting transaction to 'memory'
+//keeps transaction scopes in the memory of each service instance rather than in
+//the database, which saves a write for almost every request but means they can
+//only be seen by the instance handling the transaction.  Custom scope types can
+//be listed by the name they were registered with.
+config.scopes.backends = {
+    default: 'mongo'
+};
+
+//How often (in ms) expired scopes are removed from the memory backend.
+config.scopes.memory = {};
+config.scopes.memory.sweepInterval = 60000;
+
 //Configuration defaults for the Tools related features.
 config.tools = {};
 config.tools.compressPermissionHeaders = false;
@@ -0,0 +1,348 @@
+/*
+ * ICESOFT COMMERCIAL SOURCE CODE LICENSE V 1.1
+ *
+ * The contents of this file are subject to the ICEsoft Commercial Source
+ * Code License Agreement V1.1 (the "License"); you may not use this file
+ * except in compliance with the License. You may obtain a copy of the
+ * License at
+ * http://www.icesoft.com/license/commercial-source-v1.1.html
+ *
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License.
+ *
+ * Copyright 2009-2014 ICEsoft Technologies Canada, Corp. All Rights Reserved.
+ */
+
+var MongoClient = require('mongodb').MongoClient;
+var LRUCache = require('./lruCache').LRUCache;
+
+/**
+ * Hands out a database handle for each account and caches them.  There are two
+ * strategies for connecting:
+ *
+ * - Separate (the default): each account gets its own MongoClient and so its own
+ *   connection pool.  Total connections used = cached accounts * pool size.
+ * - Shared: a single MongoClient is opened and every account's handle uses its
+ *   pool.
+ *
+ * Either way, at most maxClients account handles are cached.  When another one
+ * is needed, the least recently used handle is evicted and, for separate
+ * clients, its pool is closed.  Handles that haven't been used for clientExpiry
+ * ms are also closed by a periodic sweep.  Closing a pool fails anything still
+ * running on it so maxClients should comfortably exceed the accounts that are
+ * busy at any one time.
+ *
+ * Connecting is single-flight: callers that ask for an account while its
+ * connection is being made all wait on the same Promise.
+ *
+ * @param options
+ * @param options.urlPrefix The connection string that the database name is appended to
+ * @param options.clientOptions Options for MongoClient.connect
+ * @param options.shared Whether to use a single shared pool
+ * @param options.maxClients The most account handles to cache
+ * @param options.clientExpiry How long in ms an unused handle is kept
+ * @param options.onClose (optional) function(accountName) called when a handle is
+ *                        evicted, expires or is closed by closeAll, before its
+ *                        pool is closed
+ * @constructor
+ */
+function ConnectionManager(options) {
+
+    this.urlPrefix = options.urlPrefix;
+    this.clientOptions = options.clientOptions || {};
+    this.shared = !!options.shared;
+    this.clientExpiry = options.clientExpiry;
+    this.onClose = options.onClose || function () {};
+
+    this.clients = new LRUCache(options.maxClients, this.closeClient.bind(this));
+
+    //The connections being made, by account name.
+    this.pending = {};
+
+    //The single client when using the shared strategy, as a Promise.
+    this.sharedClient = undefined;
+
+    this.sweeper = undefined;
+
+    this.metrics = {
+        connectsStarted: 0,
+        connectErrors: 0,
+        pendingJoins: 0,
+        expired: 0,
+        poolsOpened: 0,
+        poolsClosed: 0
+    };
+}
+
+/**
+ * Get the database for an account, connecting to it if need be.
+ *
+ * @param accountName The safe account (database) name
+ * @returns {Promise} Resolves to the Db
+ */
+ConnectionManager.prototype.getDatabase = function (accountName) {
+    return this.getEntry(accountName).then(function (entry) {
+        return entry.database;
+    });
+};
+
+/**
+ * Get the MongoClient that an account's database uses, connecting to it if need
+ * be.  It's needed for things like sessions that belong to the client rather
+ * than the database.  When using the shared strategy, every account has the
+ * same client.
+ *
+ * @param accountName The safe account (database) name
+ * @returns {Promise} Resolves to the MongoClient
+ */
+ConnectionManager.prototype.getMongoClient = function (accountName) {
+    return this.getEntry(accountName).then(function (entry) {
+        return entry.client;
+    });
+};
+
+ConnectionManager.prototype.getEntry = function (accountName) {
+
+    this.startSweeper();
+
+    var cached = this.clients.get(accountName);
+    if (cached) {
+        cached.touched = Date.now();
+        return Promise.resolve(cached);
+    }
+
+    if (this.pending[accountName]) {
+        this.metrics.pendingJoins++;
+        return this.pending[accountName];
+    }
+
+    var self = this;
+    this.metrics.connectsStarted++;
+
+    var connecting = this.openClient(accountName).then(
+        function (entry) {
+            delete self.pending[accountName];
+            self.clients.set(accountName, entry);
+            return entry;
+        },
+        function (err) {
+            delete self.pending[accountName];
+            self.metrics.connectErrors++;
+            throw err;
+        }
+    );
+
+    this.pending[accountName] = connecting;
+    return connecting;
+};
+
+ConnectionManager.prototype.openClient = function (accountName) {
+
+    var self = this;
+
+    if (this.shared) {
+        return this.getSharedClient(accountName).then(function (client) {
+            return {
+                touched: Date.now(),
+                database: client.db(accountName),
+                client: client
+            };
+        });
+    }
+
+    return this.connect(accountName).then(function (client) {
+        return {
+            touched: Date.now(),
+            database: self.attachClose(client, accountName),
+            client: client
+        };
+    });
+};
+
+//The shared pool is opened using the database of whichever account is asked for
+//first.  If that fails, the next request tries again.
+ConnectionManager.prototype.getSharedClient = function (accountName) {
+
+    var self = this;
+
+    if (!this.sharedClient) {
+        this.sharedClient = this.connect(accountName).catch(function (err) {
+            self.sharedClient = undefined;
+            throw err;
+        });
+    }
+
+    return this.sharedClient;
+};
+
+ConnectionManager.prototype.connect = function (accountName) {
+
+    var self = this;
+    var dbURL = this.urlPrefix + accountName;
+
+    return MongoClient.connect(dbURL, this.clientOptions).then(
+        function (client) {
+            self.metrics.poolsOpened++;
+            return client;
+        },
+        function (err) {
+            var logger = require('./loggers').getLogger();
+            logger.error('problem connecting to MongoDB @ ' + dbURL, err);
+            throw err;
+        }
+    );
+};
+
+//Separate clients are only used by one account so the handle can be given a
+//close function that closes the whole client.
+ConnectionManager.prototype.attachClose = function (client, accountName) {
+
+    var self = this;
+    var database = client.db(accountName);
+
+    database.close = function () {
+        self.closePool(client, accountName);
+    };
+
+    return database;
+};
+
+ConnectionManager.prototype.closePool = function (client, accountName) {
+
+    var self = this;
+
+    return client.close(false).then(
+        function () {
+            self.metrics.poolsClosed++;
+        },
+        function (err) {
+            var logger = require('./loggers').getLogger();
+            logger.error('Failed to close database ' + accountName, err);
+        }
+    );
+};
+
+//Called for handles that are evicted, have expired or are closed by closeAll.
+//Shared handles have no pool of their own to close.
+ConnectionManager.prototype.closeClient = function (accountName, entry) {
+
+    try {
+        this.onClose(accountName);
+    } catch (err) {
+        var logger = require('./loggers').getLogger();
+        logger.error('Failed to handle closing database ' + accountName, err);
+    }
+
+    if (!this.shared) {
+        return this.closePool(entry.client, accountName);
+    }
+    return Promise.resolve();
+};
+
+ConnectionManager.prototype.startSweeper = function () {
+
+    if (this.sweeper || !this.clientExpiry) {
+        return;
+    }
+
+    this.sweeper = setInterval(this.sweep.bind(this), this.clientExpiry);
+
+    //The sweep shouldn't keep the process alive on its own.
+    if (this.sweeper.unref) {
+        this.sweeper.unref();
+    }
+};
+
+/**
+ * Close the handles that haven't been used for clientExpiry ms.
+ */
+ConnectionManager.prototype.sweep = function () {
+
+    var self = this;
+    var now = Date.now();
+
+    this.clients.keys().forEach(function (accountName) {
+
+        var entry = self.clients.peek(accountName);
+
+        if (entry && entry.touched + self.clientExpiry <= now) {
+            self.clients.delete(accountName);
+            self.metrics.expired++;
+            self.closeClient(accountName, entry);
+        }
+    });
+};
+
+/**
+ * Close every client and stop the sweep.  Connections still being made are
+ * waited for and closed too.
+ *
+ * @returns {Promise} Resolves once all of the clients are closed.
+ */
+ConnectionManager.prototype.closeAll = function () {
+
+    var self = this;
+
+    if (this.sweeper) {
+        clearInterval(this.sweeper);
+        this.sweeper = undefined;
+    }
+
+    var pending = Object.keys(this.pending).map(function (accountName) {
+        return self.pending[accountName].then(function () {}, function () {});
+    });
+
+    return Promise.all(pending).then(function () {
+
+        var closing = self.clients.keys().map(function (accountName) {
+            return self.closeClient(accountName, self.clients.peek(accountName));
+        });
+        self.clients.clear();
+
+        if (self.sharedClient) {
+            closing.push(self.sharedClient.then(
+                function (client) {
+                    return self.closePool(client, 'shared');
+                },
+                function () {}
+            ));
+            self.sharedClient = undefined;
+        }
+
+        return Promise.all(closing);
+
+    }).then(function () {});
+};
+
+/**
+ * @returns {{strategy, cached, maxClients, hits, misses, evictions, expired, pending,
+ *          pendingJoins, connectsStarted, connectErrors, poolsOpened, poolsClosed, openPools}}
+ *          where hits and misses count the lookups in the cache, pendingJoins counts
+ *          the callers that waited on a connection someone else was already making
+ *          and openPools is the number of connection pools currently open.
+ */
+ConnectionManager.prototype.getMetrics = function () {
+
+    var cacheStats = this.clients.getStats();
+
+    return {
+        strategy: this.shared ? 'shared' : 'separate',
+        cached: cacheStats.size,
+        maxClients: cacheStats.maxEntries,
+        hits: cacheStats.hits,
+        misses: cacheStats.misses,
+        evictions: cacheStats.evictions,
+        expired: this.metrics.expired,
+        pending: Object.keys(this.pending).length,
+        pendingJoins: this.metrics.pendingJoins,
+        connectsStarted: this.metrics.connectsStarted,
+        connectErrors: this.metrics.connectErrors,
+        poolsOpened: this.metrics.poolsOpened,
+        poolsClosed: this.metrics.poolsClosed,
+        openPools: this.metrics.poolsOpened - this.metrics.poolsClosed
+    };
+};
+
+module.exports.ConnectionManager = ConnectionManager;
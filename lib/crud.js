@@ -336,6 +336,8 @@ module.exports.isValidCollectionName = isValidCollectionName;
  *
  * NOTE! This index mechanism does NOT work with Capped or TTL indexes in conjunction with other indexes.
  * If you want to cap or TTL a collection, or have any doubts, use applyIndexesToCollection instead.
+ * Indexes that a collection needs in every realm are better declared once with
+ * indexes.declareCollection so they are created when the collection is first used.
  *
  * The original use of this function was to get a collection, for which it can still be used.
  *
@@ -1,9 +1,9 @@
 const config      = require('./config');
-const MongoClient = require('mongodb').MongoClient;
-const us          = require('underscore');
 const errors      = require('./errors');
 const ld          = require('lodash');
 const mongodbUri  = require('mongodb-uri');
+const EventEmitter = require('events').EventEmitter;
+const ConnectionManager = require('./connectionManager').ConnectionManager;
 
 //The dbURLPrefix is used to connect to the database. The name of the
 //database (account) is appended to the end of the prefix.  These default
@@ -101,51 +101,93 @@ function determineDBConnectionSettings() {
 determineDBConnectionSettings();
 
 
-//An object used to cache the database information for realms and accounts. It should look something like:
-var dbClients = {};
-//var dbClientSample = {
-//    "realmNameOrAccountName": {
-//        "touched": 1409243420271,
-//        "database": "theDatabaseConnectionReference",
-//        "accountName": "linkFromRealmToAccount"
-//    }
-//}
-
-//An interval function that sweeps through the list of dbClients and removes any inactive ones.
-var cacheCleaner;
+//Caches the database handle for each account and makes the connections.  Whether
+//each account gets its own connection pool or they all share one is decided by
+//config.database.sharedConnections (see connectionManager.js).
+var connections = new ConnectionManager({
+    urlPrefix: dbURLPrefix,
+    clientOptions: dbOptions,
+    shared: config.database.sharedConnections,
+    maxClients: config.database.maxClients,
+    clientExpiry: config.database.clientExpiry,
+    onClose: function (accountName) {
+        connectionEvents.emit('close', accountName);
+    }
+});
 
-//If using the shared connection approach where all databases use a single pool, then you need
-//to have an intiial database reference.
-var initialDB;
+//Lets things that hold on to an account's connection, like change streams, find
+//out when its handle is closed.  There's a listener for each watched realm.
+var connectionEvents = new EventEmitter();
+connectionEvents.setMaxListeners(0);
 
 //The database collection that holds the realm and account information.  This should only be kept
 //around until we have a valid service call although it may be valid for testing purposes.
 var accountsCollection;
 
-//Determine which connection strategy to use and set the appropriate function.
-var getClientStrategy = config.database.sharedConnections ? getClientShared : getClient;
+//Both strategies are handled by the connection manager.
+var getClientStrategy = getClient;
 
 // the set of account databases. If an accountname is present, it's a valid account.
 // If a test
 var accountCache = {};
 
-var delayedProcessingTimeout = 20;
-
-// Map of accountName keyed booleans indicating a connection attempt is in progress.
-var currentlyProcessing = { };
-
-//Debugging counters
+//Counters for the collections asked for.  The connection counters are kept by the
+//connection manager.  Both are available from getMetrics.
 var stats = {
-    strategy: (config.database.sharedConnections ? 'shared' : 'not shared'),
     collectionRequests: 0,
-    cacheHits: 0,
-    cacheDelays: 0,
-    dbClientCreated: 0,
-    dbClientDestroyed: 0,
     collectionCreated: 0,
     collectionFound: 0
 };
 
+/**
+ * Lets a callback function be used with Promises.  When the callback is passed,
+ * the function is called as is.  When it isn't, a Promise is returned instead
+ * that settles the way the callback would have been called: it rejects with the
+ * error the callback would have been given and otherwise resolves to the result.
+ *
+ * The callback belongs in the function's last declared parameter but, when
+ * optional arguments before it are left out, a function passed last is taken
+ * as the callback and moved there.
+ *
+ * @param fn The callback function
+ * @param resultOnly Set for functions whose callback only gets a result (e.g.
+ *                   function(exists)) rather than (err, result)
+ * @returns {Function}
+ */
+function promised(fn, resultOnly) {
+
+    var cbIndex = fn.length - 1;
+
+    return function () {
+
+        var self = this;
+        var args = Array.prototype.slice.call(arguments);
+        var last = args.length - 1;
+
+        if (last < cbIndex && typeof args[last] === 'function') {
+            args[cbIndex] = args[last];
+            args[last] = undefined;
+        }
+
+        if (typeof args[cbIndex] === 'function') {
+            return fn.apply(self, args);
+        }
+
+        return new Promise(function (resolve, reject) {
+
+            args[cbIndex] = resultOnly ? resolve : function (err, result) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(result);
+            };
+
+            fn.apply(self, args);
+        });
+    };
+}
+
 /**
  * Perform a native mongo check to see if a given database and realm exists.
  * takes callback with pattern function(boolean) that returns true if collection found, false if
@@ -218,7 +260,7 @@ function testCollectionExistence(accountName, collectionName, cb) {
         });
     });
 }
-module.exports.testCollectionExistence = testCollectionExistence;
+module.exports.testCollectionExistence = promised(testCollectionExistence, true);
 
 /**
  * Perform a native mongo check to see if a given database exists.
@@ -256,7 +298,7 @@ function testDatabaseExistence(accountName, cb) {
         return cb(false);
     });
 }
-module.exports.testDatabaseExistence = testDatabaseExistence;
+module.exports.testDatabaseExistence = promised(testDatabaseExistence, true);
 
 /**
  * Perform a native mongo check to see if a given database exists.
@@ -281,7 +323,7 @@ function getDatabaseList(cb) {
         });
     });
 }
-module.exports.getDatabaseList = getDatabaseList;
+module.exports.getDatabaseList = promised(getDatabaseList);
 
 /**
  * Get an account record from the 'safeaccountname'.admin.accounts collection. This function
@@ -319,7 +361,7 @@ var getAccountRecord = function (accountName, cb) {
         });
     });
 };
-module.exports.getAccountRecord = getAccountRecord;
+module.exports.getAccountRecord = promised(getAccountRecord);
 
 
 /**
@@ -345,7 +387,7 @@ function getCollections(safeAccountName, cb) {
         });
     });
 }
-module.exports.getCollections = getCollections;
+module.exports.getCollections = promised(getCollections);
 
 
 /**
@@ -375,7 +417,7 @@ function getRealmCollections(accountName, realmName, callback) {
         return callback(err, collList);
     });
 }
-module.exports.getRealmCollections = getRealmCollections;
+module.exports.getRealmCollections = promised(getRealmCollections);
 
 
 /**
@@ -418,7 +460,7 @@ function dropAllRealmCollections(accountName, realmName, cb) {
         });
     });
 }
-module.exports.dropAllRealmCollections = dropAllRealmCollections;
+module.exports.dropAllRealmCollections = promised(dropAllRealmCollections);
 
 
 /**
@@ -436,7 +478,7 @@ function dropDatabase(accountName,  cb) {
         });
     });
 }
-module.exports.dropDatabase = dropDatabase;
+module.exports.dropDatabase = promised(dropDatabase);
 
 
 /**
@@ -452,81 +494,28 @@ function dropCollection(accountDB, collectionName, cb) {
         return cb(err, result);
     });
 }
-module.exports.dropCollection = dropCollection;
+module.exports.dropCollection = promised(dropCollection);
 
 
-//The callback returns a MongoDB client connection to the database associated with the account.  This
-//approach creates a new client per database and opens a connection pool for each (default 5).  So:
-//   total connections used = active databases * 5
-//This creates a greater number of connections than the shared strategy below - which creates a single
-//pool and shares them with all databases.  Because of this, this function also kicks off an interval
-//cache cleaning function to close client connections that haven't been used for a configurable duration.
+//The callback returns a MongoDB database for the account.  The connection is
+//made with the configured strategy the first time the account is used and is
+//then cached by the connection manager.
 function getClient(rawAccountName, cb) {
 
-    var logger = require('./loggers').getLogger();
-
     const accountName = getSafeDatabaseName(rawAccountName);
 
-    //Start a cleaner for db connections that haven't been used in awhile
-    if (!cacheCleaner) {
-        cacheCleaner = setInterval(cleanDBClientCache, config.database.clientExpiry);
-    }
-
-    if (currentlyProcessing[accountName]) {
-
-        stats.cacheDelays ++;
-        setTimeout(getClient.bind(this, accountName, cb), delayedProcessingTimeout);
-
-    } else {
-
-        currentlyProcessing[accountName] = true;
-
-        //If there is a cached dbClient using the account name,
-        //update the time it was requested and return it.
-        var dbClient = dbClients[accountName];
-        if (dbClient) {
-            dbClient.touched = Date.now();
-            //logger.debug('db client retrieved from cache');
-            stats.cacheHits += 1;
-            currentlyProcessing[accountName] = false;
-            return cb(null, dbClient.database);
+    //The callback is called outside of the Promise so anything it throws isn't
+    //mistaken for a connection error.
+    connections.getDatabase(accountName).then(
+        function (db) {
+            process.nextTick(cb, null, db);
+        },
+        function (err) {
+            process.nextTick(cb, err, null);
         }
-
-        //Looks like we don't currently have a database connection so make a new one.
-        var dbURL = dbURLPrefix + accountName;
-        //logger.debug('connecting to ' + dbURL);
-        //dbOptions.useUnifiedTopology = true;
-        //Make the actual connection.  We may want to check with Auth service as to
-        //whether this is a real account and only create it it should be created.
-        MongoClient.connect(dbURL, dbOptions, function (err, client) {
-            if (err) {
-                logger.error('problem connecting to MongoDB @ ' + dbURL, err);
-                currentlyProcessing[accountName] = false;
-                return cb(err, null);
-            }
-
-            let db = client.db(accountName);
-            db.close = function() {
-                client.close(false, function(err) {
-                    if (err) {
-                        logger.error('Failed to close database ' + accountName, err);
-                    }
-                });
-            };
-            //Cache the new connection and return it.  We cache it under both the realm
-            //name and the account name as all realms will use the same connection pool.
-            dbClients[accountName] = {
-                touched: Date.now(),
-                database: db
-            };
-            //logger.debug('new db client added to cache: ' + accountName);
-            stats.dbClientCreated += 1;
-            currentlyProcessing[accountName] = false;
-            return cb(null, db);
-        });
-    }
+    );
 }
-module.exports.getClient = getClient;
+module.exports.getClient = promised(getClient);
 
 
 //As per the rules for MongoDB database naming:
@@ -544,109 +533,45 @@ function getSafeDatabaseName(accountName) {
 module.exports.getSafeDatabaseName = getSafeDatabaseName;
 
 
-function dumpStats() {
-    //var logger = require('./loggers').getLogger();
-    console.log(JSON.stringify(stats, null, 4));
+/**
+ * Counters for the connections and collections that have been asked for.
+ *
+ * @returns {{connections, collections}} where connections is the metrics of the
+ *          connection manager (hits, misses, evictions, openPools, ...) and
+ *          collections is {collectionRequests, collectionCreated, collectionFound}.
+ */
+function getMetrics() {
+    return {
+        connections: connections.getMetrics(),
+        collections: ld.clone(stats)
+    };
 }
-module.exports.dumpStats = dumpStats;
-
-
-function cleanDBClientCache() {
-
-    //var logger = require('./loggers').getLogger();
-
-    us.each(dbClients, function (dbClient, dbClientKey, dbClients) {
+module.exports.getMetrics = getMetrics;
 
-        var touched = dbClient.touched;
 
-        //See if the database connection hasn't been used over the configured expiry duration.
-        var timeLeft = (touched + config.database.clientExpiry) - Date.now();
-        //logger.debug('[' + dbClientKey + ']  expired: ' + (timeLeft < 0) + '  left: ' + timeLeft);
-
-        if (timeLeft <= 0) {
-            //Need to remove the client from the cache and close the connection.
-            dbClient.database.close();
-            delete dbClients[dbClientKey];
-            stats.dbClientDestroyed += 1;
-        }
-    });
-    //dumpStats();
+/**
+ * Be told when an account's database handle is closed, i.e. when it is evicted
+ * from the cache, expires or is closed on shutdown.  Anything opened on it, like
+ * a change stream, should be closed.
+ *
+ * @param listener function(accountName) where accountName is the safe account name
+ * @returns {Function} Call to stop listening
+ */
+function onConnectionClosed(listener) {
+    connectionEvents.on('close', listener);
+    return function () {
+        connectionEvents.removeListener('close', listener);
+    };
 }
+module.exports.onConnectionClosed = onConnectionClosed;
 
 
+//Kept for existing callers. Both strategies now go through the connection manager
+//so this is the same as getClient.
 function getClientShared(accountName, cb) {
-
-    //var logger = require('./loggers').getLogger();
-
-    //If we have not yet established a single database connection, then do it now.
-    if (!initialDB) {
-
-        var dbURL = dbURLPrefix + accountName;
-        //logger.debug('connecting to initial database ' + dbURL);
-        //dbOptions.useUnifiedTopology = true;
-        //Make the actual connection.  We may want to check with Auth service as to
-        //whether this is a real account and only create it it should be created.
-        MongoClient.connect(dbURL, dbOptions, function (err, client) {
-            if (err) {
-                //logger.error('problem connecting to MongoDB @ ' + dbURL, err);
-                return cb(err, null);
-            }
-            let db = client.db(accountName);
-            db.close = function() {
-                client.close(false, function(err) {
-                    if (err) {
-                        logger.error('Failed to close database ' + accountName, err);
-                    }
-                });
-            };
-            //Save the initial db reference
-            initialDB = db;
-            //logger.debug('initial database set');
-
-            //Cache the initial connection and return the db.
-            dbClients[accountName] = {
-                touched: Date.now(),
-                database: db
-            };
-
-            //logger.debug('initial db client added to cache');
-            stats.dbClientCreated += 1;
-
-            return cb(null, db);
-        });
-
-
-    } else {
-
-        //If there is a cached db client for the account, update the time it was requested and return it.
-        var dbClient = dbClients[accountName];
-        if (dbClient) {
-            dbClient.touched = Date.now();
-
-            //logger.debug('realm client retrieved from cache ' + accountName);
-            stats.cacheHits += 1;
-
-            return cb(null, dbClient.database);
-        }
-
-        //logger.debug('[' + accountName + '] not cached in ' + JSON.stringify(us.keys(dbClients), null, 4));
-
-        //If there is nothing cached, create a new one using the initial one.
-        var dbWithSharedConnections = initialDB.db(accountName);
-
-        //Cache the newly created client
-        dbClients[accountName] = {
-            touched: Date.now(),
-            database: dbWithSharedConnections
-        };
-
-        //logger.debug('shared db client added to cache');
-        stats.dbClientCreated += 1;
-
-        return cb(null, dbWithSharedConnections);
-    }
+    getClient(accountName, cb);
 }
-module.exports.getClientShared = getClientShared;
+module.exports.getClientShared = promised(getClientShared);
 
 /**
  * Newer Function that allows client to specify the 'strict' flag on collection creation
@@ -682,7 +607,7 @@ function getCollectionWithOptions(accountName, realmName, collectionName, option
             if (coll) {
                 //logger.debug('found existing collection', coll.collectionName);
                 stats.collectionFound += 1;
-                return cb(null, coll);
+                return ensureDeclaredIndexes(db, realmName, collectionName, coll, cb);
             }
 
             //We've can set 'strict' so collections are not automatically created when asked for
@@ -699,12 +624,37 @@ function getCollectionWithOptions(accountName, realmName, collectionName, option
                 }
                 //logger.debug('created new collection', newCollection.collectionName);
                 stats.collectionCreated += 1;
-                return cb(null, newCollection);
+                return ensureDeclaredIndexes(db, realmName, collectionName, newCollection, cb);
             });
         });
     });
 }
-module.exports.getCollectionWithOptions = getCollectionWithOptions;
+module.exports.getCollectionWithOptions = promised(getCollectionWithOptions);
+
+/**
+ * The first time a collection is used in a realm, make sure it has the indexes
+ * declared for it (see indexes.js).  If that fails, the collection can still be
+ * used so we just log it.  It's tried again once
+ * config.database.ensureIndexesRetryDelay has passed.
+ *
+ * @param db The account database
+ * @param realmName
+ * @param collectionName
+ * @param coll
+ * @param cb callback of form (err, collection)
+ */
+function ensureDeclaredIndexes(db, realmName, collectionName, coll, cb) {
+
+    require('./indexes').ensureCollection(db, realmName, collectionName, function (err) {
+
+        if (err) {
+            var logger = require('./loggers').getLogger();
+            logger.warn('problem creating declared indexes', realmName, collectionName, err.message);
+        }
+
+        return cb(null, coll);
+    });
+}
 
 /**
  * get a collection mapped from a given account + realm + collectionName
@@ -717,7 +667,7 @@ module.exports.getCollectionWithOptions = getCollectionWithOptions;
 function getCollection(accountName, realmName, collectionName, cb) {
     getCollectionWithOptions(accountName, realmName, collectionName, {strict: false}, cb);
 }
-module.exports.getCollection = getCollection;
+module.exports.getCollection = promised(getCollection);
 
 /**
  * get a collection mapped from a given account + realm + collectionName
@@ -752,7 +702,7 @@ function createIndexedCollection(accountName, realmName, collectionName, options
         });
     });
 }
-module.exports.createIndexedCollection = createIndexedCollection;
+module.exports.createIndexedCollection = promised(createIndexedCollection);
 
 /**
  * get a collection mapped from a given account + realm + collectionName
@@ -812,7 +762,7 @@ function getCappedCollection(accountName, realmName, collectionName, capsize, cb
         });
     });
 }
-module.exports.getCappedCollection = getCappedCollection;
+module.exports.getCappedCollection = promised(getCappedCollection);
 
 
 
@@ -822,25 +772,219 @@ module.exports.getCappedCollection = getCappedCollection;
 function getConnectionCurrentStrategy(accountName, callback) {
      getClientStrategy(accountName, callback);
 }
-module.exports.getConnectionCurrentStrategy = getConnectionCurrentStrategy;
+module.exports.getConnectionCurrentStrategy = promised(getConnectionCurrentStrategy);
 
 
-//This should probably only be used for the purposes of testing as you may
-//not want to cut connections drastically during production service shutdown.
-function shutdown() {
+/**
+ * Provided by withTransaction when the database can't run transactions.  They
+ * need a replica set (MongoDB 4.0+) or a sharded cluster (MongoDB 4.2+).
+ *
+ * @param message
+ * @constructor
+ */
+function TransactionsNotSupportedError(message) {
+    this.message = message;
+}
+TransactionsNotSupportedError.prototype = Object.create(Error.prototype);
+TransactionsNotSupportedError.prototype.name = 'TransactionsNotSupportedError';
+module.exports.TransactionsNotSupportedError = TransactionsNotSupportedError;
+
+//Whether the server can run transactions, as a Promise.  All the accounts are on
+//the same deployment so we only need to ask once.
+var transactionSupport;
+
+function checkTransactionSupport(database) {
+
+    if (!transactionSupport) {
+        transactionSupport = database.admin().command({isMaster: 1}).then(
+            function (result) {
+                //Wire version 7 is MongoDB 4.0 and 8 is 4.2.
+                if (result.setName) {
+                    return result.maxWireVersion >= 7;
+                }
+                return result.msg === 'isdbgrid' && result.maxWireVersion >= 8;
+            },
+            function (err) {
+                transactionSupport = undefined;
+                throw err;
+            }
+        );
+    }
 
-    //var logger = require('./loggers').getLogger();
-    //logger.debug('shutting down database clients...');
+    return transactionSupport.then(function (supported) {
+        if (!supported) {
+            throw new TransactionsNotSupportedError(
+                'transactions need a replica set or sharded cluster running MongoDB 4.0 or later'
+            );
+        }
+    });
+}
 
-    us.each(dbClients, function (dbClient, cacheKey, dbClients) {
-        //logger.debug('[' + cacheKey + ']  closing');
-        dbClient.database.close();
-        delete dbClients[cacheKey];
+function hasErrorLabel(err, label) {
+    if (err && typeof err.hasErrorLabel === 'function') {
+        return err.hasErrorLabel(label);
+    }
+    return !!(err && err.errorLabels && err.errorLabels.indexOf(label) >= 0);
+}
+
+//Whether the commit went through can't always be known (e.g. the connection
+//dropped) so the commit itself is retried, which is safe to do.
+function commitTransaction(session, retriesLeft) {
+    return session.commitTransaction().catch(function (err) {
+        if (hasErrorLabel(err, 'UnknownTransactionCommitResult') && retriesLeft > 0) {
+            return commitTransaction(session, retriesLeft - 1);
+        }
+        throw err;
     });
+}
+
+function runTransaction(session, database, work, options, retriesLeft) {
+
+    session.startTransaction(options.transactionOptions);
+
+    return Promise.resolve()
+        .then(function () {
+            return work(session, database);
+        })
+        .then(
+            function (result) {
+                return commitTransaction(session, options.maxRetries).then(function () {
+                    return result;
+                });
+            },
+            function (err) {
+                //The work's error is the one that matters, not a failure to abort.
+                return session.abortTransaction().then(
+                    function () {
+                        throw err;
+                    },
+                    function () {
+                        throw err;
+                    }
+                );
+            }
+        )
+        .catch(function (err) {
+
+            //Another operation got in the way (e.g. a write conflict) so the
+            //whole transaction can be tried again.
+            if (hasErrorLabel(err, 'TransientTransactionError') && retriesLeft > 0) {
+                var logger = require('./loggers').getLogger();
+                logger.warn('retrying transaction', database.databaseName, err.message);
+                return runTransaction(session, database, work, options, retriesLeft - 1);
+            }
+
+            throw err;
+        });
+}
+
+/**
+ * Run some work in a multi-document transaction on an account database.  The work
+ * function is given a session and the account database and returns a Promise
+ * (e.g. it's an async function).  The session has to be passed to each of the
+ * collection calls that should be part of the transaction:
+ *
+ *   db.withTransaction(accountName, async (session, database) => {
+ *       const coll = await db.getCollection(accountName, realmName, 'action.notificationLog');
+ *       await coll.insertMany(newLogs, {session});
+ *       await coll.updateMany(filter, update, {session});
+ *   });
+ *
+ * Getting a collection isn't part of the transaction, which is just as well since
+ * collections can't be created inside one.
+ *
+ * If the work fails, the transaction is aborted.  When the failure is one that
+ * MongoDB marks as transient (TransientTransactionError), the whole transaction
+ * is run again, so the work function may be called more than once.  A commit
+ * whose outcome is unknown (UnknownTransactionCommitResult) is retried on its
+ * own.  Each is retried up to options.maxRetries times.
+ *
+ * Transactions need a replica set or a sharded cluster.  On a standalone server,
+ * the work isn't run and a TransactionsNotSupportedError is provided instead.
+ *
+ * @param accountName
+ * @param work function(session, database) that returns a Promise
+ * @param options (optional)
+ * @param options.maxRetries (optional) Defaults to config.database.transactionRetries
+ * @param options.transactionOptions (optional) Read/write concerns for the transaction
+ * @param cb (optional) function(err, result) where result is what the work resolved to
+ */
+function withTransaction(accountName, work, options, cb) {
+
+    options = ld.assign({maxRetries: config.database.transactionRetries}, options);
+
+    var safeName = getSafeDatabaseName(accountName);
+    var session;
+
+    Promise.all([connections.getMongoClient(safeName), connections.getDatabase(safeName)])
+        .then(function (results) {
+
+            var client = results[0];
+            var database = results[1];
 
-    if (cacheCleaner) {
-        clearInterval(cacheCleaner);
+            return checkTransactionSupport(database).then(function () {
+                session = client.startSession();
+                return runTransaction(session, database, work, options, options.maxRetries);
+            });
+        })
+        .then(
+            function (result) {
+                if (session) {
+                    session.endSession();
+                }
+                process.nextTick(cb, null, result);
+            },
+            function (err) {
+                if (session) {
+                    session.endSession();
+                }
+                process.nextTick(cb, err);
+            }
+        );
+}
+
+//options is optional so the callback can also be the third argument.  work is a
+//function too so promised can't tell it from a callback when both are left out,
+//which is why the arguments are shifted here and always passed in full.
+var promisedWithTransaction = promised(withTransaction);
+module.exports.withTransaction = function (accountName, work, options, cb) {
+    if (typeof options === 'function') {
+        return promisedWithTransaction(accountName, work, undefined, options);
     }
+    return promisedWithTransaction(accountName, work, options, cb);
+};
+
 
+//This should probably only be used for the purposes of testing as you may
+//not want to cut connections drastically during production service shutdown.
+//The callback is called once all of the clients are closed, or with the error
+//if they couldn't be.  Without a callback the Promise returned always resolves
+//and the error is logged, so callers that don't wait for it aren't left with an
+//unhandled rejection.
+function shutdown(cb) {
+    connections.closeAll().then(
+        function () {
+            process.nextTick(cb);
+        },
+        function (err) {
+            process.nextTick(cb, err);
+        }
+    );
 }
-module.exports.shutdown = shutdown;
+module.exports.shutdown = function (cb) {
+
+    if (typeof cb === 'function') {
+        shutdown(cb);
+        return;
+    }
+
+    return new Promise(function (resolve) {
+        shutdown(function (err) {
+            if (err) {
+                var logger = require('./loggers').getLogger();
+                logger.error('problem shutting down database clients', err);
+            }
+            resolve();
+        });
+    });
+};
@@ -0,0 +1,540 @@
+/*
+ * ICESOFT COMMERCIAL SOURCE CODE LICENSE V 1.1
+ *
+ * The contents of this file are subject to the ICEsoft Commercial Source
+ * Code License Agreement V1.1 (the "License"); you may not use this file
+ * except in compliance with the License. You may obtain a copy of the
+ * License at
+ * http://www.icesoft.com/license/commercial-source-v1.1.html
+ *
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License.
+ *
+ * Copyright 2009-2014 ICEsoft Technologies Canada, Corp. All Rights Reserved.
+ */
+
+var async = require('async');
+var ld = require('lodash');
+var config = require('./config');
+
+//The collections that are used in each realm and the indexes they need.  Each
+//collection is declared once and the indexes are created in every account and
+//realm the first time the collection is used there (see db.getCollection).
+//
+//Indexes are described like the index records used by
+//crud.processCollectionInitialization:
+//
+//  collectionIndex           the keys, e.g. {time: 1} or {location: '2dsphere'}
+//  name                      optional, Mongo makes one up from the keys otherwise
+//  unique, sparse            optional
+//  expireAfterSeconds        optional, for a TTL index
+//  collation                 optional
+//  partialFilterExpression   optional
+//
+//A collection can also be capped by giving it a maxSize (in bytes) and,
+//optionally, a capSize (the most documents to keep).  Since only a new
+//collection can be capped, an existing collection that isn't is reported by
+//checkIndexes rather than changed.
+var declaredCollections = {};
+
+//The collections whose indexes we've already ensured, by namespace, and the
+//callbacks waiting on the ones we're ensuring now.
+var ensuredCollections = {};
+var ensuringCollections = {};
+
+//When we couldn't create a collection's indexes, by namespace, so we wait a
+//while before trying again rather than trying on every use.
+var failedCollections = {};
+
+var INDEX_OPTIONS = ['name', 'unique', 'sparse', 'expireAfterSeconds', 'collation', 'partialFilterExpression'];
+
+
+/**
+ * Declare the indexes of a collection.  Declaring a collection again replaces
+ * what was declared before.
+ *
+ * @param collectionName The name of the collection within the realm (e.g. 'scopes')
+ * @param definition {indexes, maxSize, capSize}
+ */
+function declareCollection(collectionName, definition) {
+
+    var indexes = (definition && definition.indexes) || [];
+
+    indexes.forEach(function (index) {
+        if (!index.collectionIndex || ld.isEmpty(index.collectionIndex)) {
+            throw new Error('index for ' + collectionName + ' needs a collectionIndex');
+        }
+    });
+
+    if (definition && definition.capSize && !definition.maxSize) {
+        throw new Error('capped collection ' + collectionName + ' needs a maxSize');
+    }
+
+    declaredCollections[collectionName] = {
+        indexes: ld.cloneDeep(indexes),
+        maxSize: definition && definition.maxSize,
+        capSize: definition && definition.capSize
+    };
+
+    //So the new declaration is applied the next time the collection is used.
+    ensuredCollections = {};
+    failedCollections = {};
+}
+module.exports.declareCollection = declareCollection;
+
+/**
+ * @param collectionName
+ * @returns The declaration of the collection or undefined if it hasn't been declared.
+ */
+function getDeclaredCollection(collectionName) {
+    return ld.cloneDeep(declaredCollections[collectionName]);
+}
+module.exports.getDeclaredCollection = getDeclaredCollection;
+
+/**
+ * @returns {Array} The names of the declared collections.
+ */
+function getDeclaredCollectionNames() {
+    return Object.keys(declaredCollections);
+}
+module.exports.getDeclaredCollectionNames = getDeclaredCollectionNames;
+
+//Indexes are always created in the background so we hold things up as little
+//as possible.
+function getIndexOptions(index) {
+    var options = ld.pickBy(ld.pick(index, INDEX_OPTIONS), function (value) {
+        return value !== undefined;
+    });
+    options.background = true;
+    return options;
+}
+
+function getFullCollectionName(realmName, collectionName) {
+    return realmName.toLowerCase() + '.' + collectionName;
+}
+
+function createCappedCollection(database, fullCollectionName, declared, cb) {
+
+    if (!declared.maxSize) {
+        cb();
+        return;
+    }
+
+    database.listCollections({name: fullCollectionName}).toArray(function (err, collections) {
+
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        //Too late to cap it.
+        if (collections.length > 0) {
+            cb();
+            return;
+        }
+
+        var options = {capped: true, size: declared.maxSize};
+        if (declared.capSize) {
+            options.max = declared.capSize;
+        }
+
+        database.createCollection(fullCollectionName, options, function (err) {
+
+            //Someone else may have just created it.
+            if (err && !(err.message && err.message.indexOf('already exists') >= 0)) {
+                cb(err);
+                return;
+            }
+
+            cb();
+        });
+    });
+}
+
+//Each index is created on its own so one that can't be (e.g. a unique index
+//on a collection with duplicates) doesn't keep the others from being created.
+//The error lists the indexes that failed as {index, error}.
+function createIndexes(coll, declared, cb) {
+
+    var failures = [];
+
+    async.eachSeries(declared.indexes, function (index, icb) {
+        coll.createIndex(index.collectionIndex, getIndexOptions(index), function (err) {
+            if (err) {
+                failures.push({index: ld.cloneDeep(index), error: err});
+            }
+            icb();
+        });
+    }, function () {
+
+        if (failures.length === 0) {
+            cb();
+            return;
+        }
+
+        var err = new Error('could not create indexes: ' + failures.map(function (failure) {
+            return JSON.stringify(failure.index.collectionIndex) + ' (' + failure.error.message + ')';
+        }).join(', '));
+        err.failures = failures;
+        cb(err);
+    });
+}
+
+/**
+ * Make sure that a collection has the indexes declared for it.  This is only done
+ * once for each collection.  If it fails, it isn't tried again for that collection
+ * until config.database.ensureIndexesRetryDelay has passed.  Collections that
+ * haven't been declared are left alone.
+ *
+ * @param database The account database
+ * @param realmName
+ * @param collectionName
+ * @param cb
+ */
+function ensureCollection(database, realmName, collectionName, cb) {
+
+    var declared = declaredCollections[collectionName];
+
+    if (!declared || !config.database.ensureIndexes) {
+        cb();
+        return;
+    }
+
+    var fullCollectionName = getFullCollectionName(realmName, collectionName);
+    var namespace = database.databaseName + '.' + fullCollectionName;
+
+    //The failure has already been reported.
+    if (ensuredCollections[namespace] || failedCollections[namespace] > Date.now()) {
+        cb();
+        return;
+    }
+
+    if (ensuringCollections[namespace]) {
+        ensuringCollections[namespace].push(cb);
+        return;
+    }
+    ensuringCollections[namespace] = [cb];
+
+    function done(err) {
+
+        var callbacks = ensuringCollections[namespace];
+        delete ensuringCollections[namespace];
+
+        if (err) {
+            failedCollections[namespace] = Date.now() + config.database.ensureIndexesRetryDelay;
+        } else {
+            ensuredCollections[namespace] = true;
+            delete failedCollections[namespace];
+        }
+
+        callbacks.forEach(function (callback) {
+            callback(err);
+        });
+    }
+
+    createCappedCollection(database, fullCollectionName, declared, function (err) {
+
+        if (err) {
+            done(err);
+            return;
+        }
+
+        createIndexes(database.collection(fullCollectionName), declared, done);
+    });
+}
+module.exports.ensureCollection = ensureCollection;
+
+/**
+ * Create the declared indexes of a collection in an account and realm now,
+ * even if that has been done before.
+ *
+ * @param accountName
+ * @param realmName
+ * @param collectionName
+ * @param cb
+ */
+function ensureIndexes(accountName, realmName, collectionName, cb) {
+
+    var db = require('./db');
+
+    db.getConnectionCurrentStrategy(accountName, function (err, database) {
+
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        var namespace = database.databaseName + '.' + getFullCollectionName(realmName, collectionName);
+        delete ensuredCollections[namespace];
+        delete failedCollections[namespace];
+        ensureCollection(database, realmName, collectionName, cb);
+    });
+}
+module.exports.ensureIndexes = ensureIndexes;
+
+//Mongo compares keys in order so the order of the fields matters.
+function isSameKey(key, otherKey) {
+    return ld.isEqual(Object.keys(key), Object.keys(otherKey)) && ld.isEqual(key, otherKey);
+}
+
+function getOptionDifferences(index, existing) {
+
+    var differences = [];
+
+    if (!!index.unique !== !!existing.unique) {
+        differences.push('unique');
+    }
+
+    if (!!index.sparse !== !!existing.sparse) {
+        differences.push('sparse');
+    }
+
+    if (index.expireAfterSeconds !== existing.expireAfterSeconds) {
+        differences.push('expireAfterSeconds');
+    }
+
+    if (!ld.isEqual(index.partialFilterExpression, existing.partialFilterExpression)) {
+        differences.push('partialFilterExpression');
+    }
+
+    //Mongo fills in the rest of the collation so only the declared parts are compared.
+    if (index.collation ? !ld.isMatch(existing.collation || {}, index.collation) : !!existing.collation) {
+        differences.push('collation');
+    }
+
+    return differences;
+}
+
+//A unique index can't be created while the collection has documents with the
+//same key.  Returns up to DUPLICATES_REPORTED of those keys as {key, count}.
+var DUPLICATES_REPORTED = 10;
+
+function findDuplicates(coll, index, cb) {
+
+    var fields = Object.keys(index.collectionIndex);
+    var match = ld.cloneDeep(index.partialFilterExpression) || {};
+    var group = {};
+
+    fields.forEach(function (field, i) {
+        //Sparse indexes leave out documents without the fields.
+        if (index.sparse) {
+            match[field] = ld.assign({$exists: true}, match[field]);
+        }
+        group['k' + i] = '$' + field;
+    });
+
+    coll.aggregate([
+        {$match: match},
+        {$group: {_id: group, count: {$sum: 1}}},
+        {$match: {count: {$gt: 1}}},
+        {$limit: DUPLICATES_REPORTED}
+    ]).toArray(function (err, groups) {
+
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        cb(null, groups.map(function (duplicate) {
+            var key = {};
+            fields.forEach(function (field, i) {
+                key[field] = duplicate._id['k' + i];
+            });
+            return {key: key, count: duplicate.count};
+        }));
+    });
+}
+
+function checkCollection(database, realmName, collectionName, cb) {
+
+    var declared = declaredCollections[collectionName];
+    var fullCollectionName = getFullCollectionName(realmName, collectionName);
+
+    database.listCollections({name: fullCollectionName}).toArray(function (err, collections) {
+
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        var report = {
+            collectionName: collectionName,
+            exists: collections.length > 0,
+            missing: [],
+            unexpected: [],
+            changed: []
+        };
+
+        var isCapped = !!(report.exists && collections[0].options && collections[0].options.capped);
+        if (isCapped !== !!declared.maxSize) {
+            report.capped = {expected: !!declared.maxSize, actual: isCapped};
+        }
+
+        if (!report.exists) {
+            report.missing = ld.cloneDeep(declared.indexes);
+            report.ok = report.missing.length === 0 && !report.capped;
+            cb(null, report);
+            return;
+        }
+
+        database.collection(fullCollectionName).indexes(function (err, existingIndexes) {
+
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            //Every collection has an _id index.
+            var unmatched = existingIndexes.filter(function (existing) {
+                return existing.name !== '_id_';
+            });
+
+            declared.indexes.forEach(function (index) {
+
+                var existing = ld.find(unmatched, function (candidate) {
+                    return isSameKey(index.collectionIndex, candidate.key);
+                });
+
+                if (!existing) {
+                    report.missing.push(ld.cloneDeep(index));
+                    return;
+                }
+
+                ld.pull(unmatched, existing);
+
+                var differences = getOptionDifferences(index, existing);
+                if (differences.length > 0) {
+                    report.changed.push({expected: ld.cloneDeep(index), actual: existing, options: differences});
+                }
+            });
+
+            report.unexpected = unmatched;
+            report.ok = report.missing.length === 0 && report.unexpected.length === 0 &&
+                report.changed.length === 0 && !report.capped;
+
+            var missingUnique = report.missing.filter(function (index) {
+                return index.unique;
+            });
+
+            async.eachSeries(missingUnique, function (index, ecb) {
+
+                findDuplicates(database.collection(fullCollectionName), index, function (err, duplicates) {
+
+                    if (err) {
+                        ecb(err);
+                        return;
+                    }
+
+                    if (duplicates.length > 0) {
+                        report.duplicates = report.duplicates || [];
+                        report.duplicates.push({index: ld.cloneDeep(index), keys: duplicates});
+                    }
+                    ecb();
+                });
+
+            }, function (err) {
+                cb(err, err ? undefined : report);
+            });
+        });
+    });
+}
+
+/**
+ * Compare the indexes that the declared collections have in an account and realm
+ * with the ones declared for them.  Nothing is changed.
+ *
+ * @param accountName
+ * @param realmName
+ * @param collectionNames Optional array of the collections to check. Defaults to all
+ *                        the declared collections.
+ * @param cb function(err, reports) with a report for each collection of the form
+ *           {collectionName, exists, ok, missing, unexpected, changed, capped, duplicates}
+ *           where missing is the declared indexes that don't exist, unexpected is
+ *           the indexes that exist but weren't declared, changed is {expected,
+ *           actual, options} for indexes whose options differ and capped, if set, is
+ *           {expected, actual} for a collection that should (or shouldn't) be capped.
+ *           duplicates, if set, is {index, keys} for each missing unique index that
+ *           can't be created because documents share a key.  keys is up to 10 of
+ *           those as {key, count}.  They need to be fixed before the index can be.
+ */
+function checkIndexes(accountName, realmName, collectionNames, cb) {
+
+    if (typeof collectionNames === 'function') {
+        cb = collectionNames;
+        collectionNames = undefined;
+    }
+
+    var names = collectionNames || getDeclaredCollectionNames();
+
+    var undeclared = names.filter(function (name) {
+        return !declaredCollections[name];
+    });
+
+    if (undeclared.length > 0) {
+        cb(new Error('no indexes declared for ' + undeclared.join(', ')));
+        return;
+    }
+
+    var db = require('./db');
+
+    db.getConnectionCurrentStrategy(accountName, function (err, database) {
+
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        async.mapSeries(names, function (collectionName, mcb) {
+            checkCollection(database, realmName, collectionName, mcb);
+        }, cb);
+    });
+}
+module.exports.checkIndexes = checkIndexes;
+
+
+// -------------------------
+// COMMON COLLECTIONS
+// -------------------------
+
+//The collections used by this library.
+
+declareCollection('scopes', {
+    indexes: [
+        //For finding a scope by its id.  It's unique so that concurrent upserts
+        //of the same scope can't create two documents for it.
+        {collectionIndex: {_scopeId: 1}, unique: true},
+
+        //Removes expired scopes (see scopes.js).
+        {collectionIndex: {_scopeExpires: 1}, expireAfterSeconds: 0}
+    ]
+});
+
+declareCollection('services.locks', {
+    indexes: [
+        //Removes locks whose holder died without releasing them (see lock.js).
+        {collectionIndex: {expires: 1}, expireAfterSeconds: 0}
+    ]
+});
+
+declareCollection('events', {
+    indexes: [
+        //Events are almost always looked for by when they happened.
+        {collectionIndex: {'_data.time': 1}}
+    ]
+});
+
+declareCollection('action.notificationLog', {
+    indexes: [
+        //Notification logs are grouped into batches (see cloud.js).
+        {collectionIndex: {batchId: 1}}
+    ]
+});
+
+declareCollection('migrations', {
+    indexes: [
+        //A migration is only recorded once for an account or realm (see migrations.js).
+        {collectionIndex: {migrationId: 1, realmName: 1}, unique: true}
+    ]
+});
@@ -16,6 +16,31 @@
  */
 
 var db = require('./db');
+var config = require('./config');
+var errors = require('./errors');
+var async = require('async');
+var ld = require('lodash');
+var uuid = require('uuid');
+
+var LOCKS_COLLECTION = 'services.locks';
+
+//The lock modes.  An exclusive lock has a single holder. A shared lock can be
+//held by any number of readers at once but excludes exclusive holders.
+var EXCLUSIVE = 'exclusive';
+module.exports.EXCLUSIVE = EXCLUSIVE;
+
+var SHARED = 'shared';
+module.exports.SHARED = SHARED;
+
+//Callers waiting on locks via acquireLock, keyed by account/realm/lockId.  Each
+//entry is a FIFO queue and only the waiter at the head of the queue competes for
+//the lock so that waiters in this process are served in the order they arrived.
+var waitQueues = {};
+
+//Lock records store the time that their lease expires.  A TTL index on that
+//field (declared in indexes.js) lets MongoDB remove locks whose holder has died
+//without releasing them.  The TTL monitor only runs periodically so we also
+//check the expiry ourselves when trying to acquire a lock (see takeOverStaleLock).
 
 /**
  * We don't need a "real" error for indicating that a resource is locked.  We
@@ -29,6 +54,25 @@ function LockError(message) {
     this.name = 'LockError';
     this.message = message;
 }
+module.exports.LockError = LockError;
+
+/**
+ * Used by withLock when the work completed but the lock could not be released
+ * afterwards.  This is kept separate from any error thrown by the work itself so
+ * callers can tell the difference.  The outcome of the work is still available.
+ *
+ * @param message
+ * @param cause The error from releasing the lock
+ * @param result The result of the work function
+ * @constructor
+ */
+function LockReleaseError(message, cause, result) {
+    this.name = 'LockReleaseError';
+    this.message = message;
+    this.cause = cause;
+    this.result = result;
+}
+module.exports.LockReleaseError = LockReleaseError;
 
 
 function checkParameters(params) {
@@ -37,6 +81,7 @@ function checkParameters(params) {
 
     if (!params) {
         paramErrs.push('missing params');
+        return paramErrs;
     }
 
     if (!params.accountId) {
@@ -68,9 +113,391 @@ function checkParameters(params) {
         }
     }
 
+    if (!params.mode) {
+        params.mode = EXCLUSIVE;
+    } else if (params.mode !== EXCLUSIVE && params.mode !== SHARED) {
+        paramErrs.push('unknown params.mode ' + params.mode);
+    }
+
+    //How long the lock is held before it is considered stale.
+    if (!params.leaseTime) {
+        params.leaseTime = config.lock.leaseTime;
+    }
+
     return paramErrs;
 }
 
+
+/**
+ * If a lock record exists but its lease has expired, the holder is assumed to be
+ * dead (or at least no longer interested) so we can take it over.  For a shared
+ * lock, the lease expires when the lease of the last reader does. A shared lock
+ * with no live readers left can also be taken over by a writer.  The update is
+ * conditional so only one contender can win.
+ *
+ * @param coll The services.locks collection
+ * @param params
+ * @param lease The lease we were trying to acquire
+ * @param cb Called with the result of the attempt
+ */
+function takeOverStaleLock(coll, params, lease, cb) {
+
+    var filter;
+    var update;
+
+    if (params.mode === SHARED) {
+        filter = {
+            _id: params.lockId,
+            expires: {$lte: lease.acquired}
+        };
+        update = {
+            $set: {mode: SHARED, readers: [lease], acquired: lease.acquired, expires: lease.expires},
+            $unset: {owner: '', token: '', writerPending: ''}
+        };
+    } else {
+        filter = {
+            _id: params.lockId,
+            $or: [
+                {expires: {$lte: lease.acquired}},
+                {mode: SHARED, readers: {$not: {$elemMatch: {expires: {$gt: lease.acquired}}}}}
+            ]
+        };
+        update = {
+            $set: {
+                mode: EXCLUSIVE,
+                owner: lease.owner,
+                token: lease.token,
+                acquired: lease.acquired,
+                expires: lease.expires
+            },
+            $unset: {readers: '', writerPending: ''}
+        };
+    }
+
+    coll.findOneAndUpdate(filter, update, function (err, result) {
+
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        cb(null, {
+            acquired: !!result.value,
+            staleRecord: result.value
+        });
+    });
+}
+
+
+/**
+ * The exclusive locking strategy is that, if a record already exists for the
+ * key, then it is locked.
+ */
+function acquireExclusive(coll, params, lease, cb) {
+
+    var lockRecord = ld.assign({_id: params.lockId, mode: EXCLUSIVE}, lease);
+
+    coll.insertOne(lockRecord, function (err) {
+
+        if (!err) {
+            cb(null, {acquired: true});
+            return;
+        }
+
+        //The MongodDB error code for inserting a duplicate key is
+        //11000.  We interpret this to be that the resource associated
+        //with this key is "locked".
+        if (err.code !== 11000) {
+            cb(err);
+            return;
+        }
+
+        //The lock is held but the holder may have let the lease expire.
+        takeOverStaleLock(coll, params, lease, cb);
+    });
+}
+
+
+/**
+ * A shared lock record holds the lease of each reader.  Readers can join as long
+ * as the lock is shared and no writer is waiting for it (see markWriterPending).
+ * If there is no lock record at all, the reader creates a shared one.
+ *
+ * @param coll The services.locks collection
+ * @param params
+ * @param lease The lease of this reader
+ * @param retry Whether to try joining again if another reader beat us to creating the lock
+ * @param cb
+ */
+function acquireShared(coll, params, lease, retry, cb) {
+
+    coll.findOneAndUpdate(
+        {
+            _id: params.lockId,
+            mode: SHARED,
+            $or: [
+                {writerPending: {$exists: false}},
+                {writerPending: {$lte: lease.acquired}}
+            ]
+        },
+        {
+            $push: {readers: lease},
+            $max: {expires: lease.expires}
+        },
+        function (err, result) {
+
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            if (result.value) {
+                cb(null, {acquired: true});
+                return;
+            }
+
+            var lockRecord = {
+                _id: params.lockId,
+                mode: SHARED,
+                readers: [lease],
+                acquired: lease.acquired,
+                expires: lease.expires
+            };
+
+            coll.insertOne(lockRecord, function (err) {
+
+                if (!err) {
+                    cb(null, {acquired: true});
+                    return;
+                }
+
+                if (err.code !== 11000) {
+                    cb(err);
+                    return;
+                }
+
+                takeOverStaleLock(coll, params, lease, function (err, result) {
+
+                    if (err || result.acquired || !retry) {
+                        cb(err, result);
+                        return;
+                    }
+
+                    acquireShared(coll, params, lease, false, cb);
+                });
+            });
+        });
+}
+
+
+/**
+ * Flags a shared lock as having a writer waiting for it.  Until the flag expires,
+ * new readers are turned away so that the current ones can drain and the writer
+ * isn't starved by a steady stream of readers.  Waiting writers refresh the flag
+ * with each attempt so it is only held for a short while after they give up.
+ *
+ * @param params
+ */
+function markWriterPending(params) {
+
+    db.getCollection(params.accountId, params.realmId, LOCKS_COLLECTION, function (err, coll) {
+
+        if (err) {
+            return;
+        }
+
+        coll.updateOne(
+            {_id: params.lockId, mode: SHARED},
+            {$max: {writerPending: new Date(Date.now() + 2 * config.lock.maxRetryDelay)}},
+            function () {
+            });
+    });
+}
+
+
+/**
+ * Removes our lease from the lock record.  An exclusive lock is simply deleted.
+ * For a shared lock, we remove ourselves and then delete the record if there
+ * are no readers left whose lease is still live.
+ *
+ * @param coll The services.locks collection
+ * @param params
+ * @param lease The lease to release
+ * @param cb Called with whether the lease was still held
+ */
+function releaseLease(coll, params, lease, cb) {
+
+    if (params.mode !== SHARED) {
+
+        coll.deleteOne({_id: params.lockId, token: lease.token}, function (err, result) {
+
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            cb(null, result.deletedCount > 0);
+        });
+        return;
+    }
+
+    coll.updateOne(
+        {_id: params.lockId, mode: SHARED, 'readers.token': lease.token},
+        {$pull: {readers: {token: lease.token}}},
+        function (err, result) {
+
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            var deleteFilter = {
+                _id: params.lockId,
+                mode: SHARED,
+                readers: {$not: {$elemMatch: {expires: {$gt: new Date()}}}}
+            };
+
+            coll.deleteOne(deleteFilter, function (err) {
+                cb(err, result.matchedCount > 0);
+            });
+        });
+}
+
+
+/**
+ * Adds the closure functions for managing a lock that has been acquired.  All
+ * of them only operate on the lock record if it still holds our lease so we
+ * never renew or release a lock that has since been taken over by another owner.
+ *
+ * - params.renewLock(cb) extends the lease by another params.leaseTime.
+ * - params.releaseLock(cb) releases the lock.
+ *
+ * If params.autoRenew is set, the lease is renewed automatically until the lock
+ * is released.  Should the lease be lost in the meantime, the optional
+ * params.onLeaseLost(err, params) function is called.
+ *
+ * @param params
+ * @param coll The services.locks collection
+ * @param lease The lease we hold
+ */
+function attachLease(params, coll, lease) {
+
+    var logger = require('./loggers').getLogger();
+    var lockAcquiredTime = lease.acquired.getTime();
+    var renewTimer;
+
+    params.lockToken = lease.token;
+    params.lockExpires = lease.expires;
+
+    //Closure function for extending the lease on the lock. Long running work
+    //should call this (or use params.autoRenew) before the lease expires.
+    params.renewLock = function (lockRenewCallback) {
+
+        var expires = new Date(Date.now() + params.leaseTime);
+        var filter = {_id: params.lockId, token: lease.token};
+        var update = {$set: {expires: expires}};
+
+        if (params.mode === SHARED) {
+            filter = {_id: params.lockId, mode: SHARED, 'readers.token': lease.token};
+            update = {$set: {'readers.$.expires': expires}, $max: {expires: expires}};
+        }
+
+        coll.updateOne(filter, update, function (err, result) {
+
+            if (err) {
+                logger.error('lock db update error', coll.collectionName, params.lockId, err.message);
+                lockRenewCallback(new Error('lock db update error'));
+                return;
+            }
+
+            if (result.matchedCount === 0) {
+                logger.warn(
+                    'lock lease lost',
+                    params.accountId,
+                    params.realmId,
+                    params.lockId,
+                    params.owner
+                );
+                lockRenewCallback(new LockError('lock lease lost'));
+                return;
+            }
+
+            params.lockExpires = expires;
+            lockRenewCallback(null, expires);
+        });
+    };
+
+    if (params.autoRenew) {
+
+        //Renew well before the lease is up so that a slow database call or a
+        //busy event loop doesn't cost us the lock.
+        renewTimer = setInterval(function () {
+
+            params.renewLock(function (err) {
+
+                if (err instanceof LockError) {
+                    clearInterval(renewTimer);
+                    if (typeof params.onLeaseLost === 'function') {
+                        params.onLeaseLost(err, params);
+                    }
+                }
+            });
+
+        }, Math.floor(params.leaseTime / 3));
+
+        //The renewal shouldn't keep the process alive on its own.
+        renewTimer.unref();
+    }
+
+    //Closure function for releasing the lock. This needs to be called
+    //whenever the work that uses the lock is done, whether it runs
+    //to completion, throws an error, etc.
+    params.releaseLock = function (lockReleaseCallback) {
+
+        clearInterval(renewTimer);
+
+        releaseLease(coll, params, lease, function (err, held) {
+
+            if (err) {
+                logger.debug('lock db delete error', coll.collectionName, params.lockId, err.message);
+                lockReleaseCallback(new Error('lock db delete error'));
+                return;
+            }
+
+            //Nothing to release means our lease expired and the lock was either
+            //cleaned up or taken over.  Either way, we no longer hold it.
+            if (!held) {
+                logger.warn(
+                    'lock already expired',
+                    Date.now() - lockAcquiredTime + ' ms',
+                    params.accountId,
+                    params.realmId,
+                    params.lockId,
+                    params.owner
+                );
+            } else {
+                logger.debug(
+                    'lock released',
+                    params.mode,
+                    Date.now() - lockAcquiredTime + ' ms',
+                    params.accountId,
+                    params.realmId,
+                    params.lockId,
+                    params.owner
+                );
+            }
+
+            //Let anyone in this process that is waiting for the lock try again
+            //right away rather than at the end of their current backoff.
+            wakeWaiter(getQueueKey(params));
+
+            lockReleaseCallback();
+
+        });
+    };
+}
+
+
 /**
  * Used to "lock" a resource so that multiple requests don't access it at the
  * same time.  Generally for preventing multiple REST API calls modifying the
@@ -88,6 +515,21 @@ function checkParameters(params) {
  * The owner is the owner of the lock. It is optional but can be helpful for
  * debugging.
  *
+ * Locks are exclusive by default.  Setting params.mode to 'shared' (lock.SHARED)
+ * takes a read lock instead: any number of readers can hold a shared lock at
+ * the same time but an exclusive lock can't be acquired until they have all
+ * released it.  A writer that fails fast gets a LockError while there are
+ * readers. A writer that waits via acquireLock holds off new readers until the
+ * current ones have drained.
+ *
+ * Locks are leased rather than held indefinitely.  The lock record stores when
+ * the lease expires (params.leaseTime from now, config.lock.leaseTime by default)
+ * and a lock whose lease has expired is removed by a TTL index or taken over by
+ * the next owner that asks for it.  That way a service that dies while holding
+ * a lock cannot block the resource for longer than the lease.  Work that might
+ * take longer than the lease should call params.renewLock(cb) periodically or
+ * set params.autoRenew.
+ *
  * The params include the account and realm.  When the work function is done,
  * the provided callback must be called so that the lock can be released and
  * the final lockCallback can be executed.
@@ -101,6 +543,10 @@ function checkParameters(params) {
  * @param params.realmId
  * @param params.lockId
  * @param params.owner (optional)
+ * @param params.mode (optional) 'exclusive' (the default) or 'shared'
+ * @param params.leaseTime (optional) How long in ms until the lock expires
+ * @param params.autoRenew (optional) Renew the lease automatically until released
+ * @param params.onLeaseLost (optional) Called if an automatic renewal finds the lease lost
  * @param lockCallback
  */
 function lock(params, lockCallback) {
@@ -120,11 +566,13 @@ function lock(params, lockCallback) {
         '\n  account:', params.accountId,
         '\n  realm  :', params.realmId,
         '\n  owner  :', params.owner,
-        '\n  lock id:', params.lockId
+        '\n  lock id:', params.lockId,
+        '\n  mode   :', params.mode,
+        '\n  lease  :', params.leaseTime
     );
 
     //Get the collection for the locks.
-    db.getCollection(params.accountId, params.realmId, 'services.locks', function (err, coll) {
+    db.getCollection(params.accountId, params.realmId, LOCKS_COLLECTION, function (err, coll) {
 
         if (err) {
             logger.error('db collection error', params.accountId, params.realmId, params.lockId, err);
@@ -132,85 +580,704 @@ function lock(params, lockCallback) {
             return;
         }
 
+        //The token identifies this particular acquisition so that we only
+        //ever renew or release our own lease.
+        var now = Date.now();
+        var lease = {
+            owner: params.owner,
+            token: uuid.v4(),
+            acquired: new Date(now),
+            expires: new Date(now + params.leaseTime)
+        };
 
-        //The locking strategy is that, if a record already exists for the
-        //key, then it is locked.
-        var lockRecord = {
-            _id: params.lockId,
-            owner: params.owner
+        function acquired(err, result) {
+
+            if (err) {
+                logger.error('lock db error', params.accountId, params.realmId, params.lockId, err);
+                lockCallback(new Error('lock db error'), params);
+                return;
+            }
+
+            //The failure handling for a locked resource is still a bit up
+            //in the air.  Right now we'll likely return a status code like
+            //409 CONFLICT or 423 LOCKED.
+            if (!result.acquired) {
+                logger.warn(
+                    'lock acquired false',
+                    params.mode,
+                    params.accountId,
+                    params.realmId,
+                    params.lockId,
+                    params.owner
+                );
+                lockCallback(new LockError('failed to acquire lock'), params);
+                return;
+            }
+
+            if (result.staleRecord) {
+                logger.warn(
+                    'lock acquired from stale owner',
+                    result.staleRecord.owner,
+                    params.accountId,
+                    params.realmId,
+                    params.lockId,
+                    params.owner
+                );
+            } else {
+                logger.debug(
+                    'lock acquired true',
+                    params.mode,
+                    params.accountId,
+                    params.realmId,
+                    params.lockId,
+                    params.owner
+                );
+            }
+
+            attachLease(params, coll, lease);
+            lockCallback(null, params);
+        }
+
+        if (params.mode === SHARED) {
+            acquireShared(coll, params, lease, true, acquired);
+        } else {
+            acquireExclusive(coll, params, lease, acquired);
+        }
+    });
+
+}
+module.exports.lock = lock;
+
+
+function getQueueKey(params) {
+    return params.accountId + '/' + params.realmId + '/' + params.lockId;
+}
+
+
+/**
+ * Calculates how long to wait before the next attempt to acquire a lock.  The
+ * delay grows exponentially with each attempt up to config.lock.maxRetryDelay
+ * and is randomized between half and all of that value so that contenders in
+ * different service instances don't retry in lock step.
+ *
+ * @param attempt The number of failed attempts so far
+ * @returns {number} The delay in ms
+ */
+function getRetryDelay(attempt) {
+    var delay = Math.min(config.lock.maxRetryDelay, config.lock.retryDelay * Math.pow(2, attempt));
+    return Math.floor(delay / 2 + Math.random() * delay / 2);
+}
+
+
+function removeWaiter(queueKey, waiter) {
+
+    var queue = waitQueues[queueKey];
+    if (!queue) {
+        return;
+    }
+
+    var wasHead = queue[0] === waiter;
+    var index = queue.indexOf(waiter);
+    if (index >= 0) {
+        queue.splice(index, 1);
+    }
+
+    if (queue.length === 0) {
+        delete waitQueues[queueKey];
+        return;
+    }
+
+    //The next waiter in line gets its turn.
+    if (wasHead) {
+        tryAcquire(queueKey, queue[0]);
+    }
+}
+
+
+function finishWaiter(queueKey, waiter, err, params) {
+
+    waiter.done = true;
+    clearTimeout(waiter.timer);
+    clearTimeout(waiter.deadlineTimer);
+    removeWaiter(queueKey, waiter);
+    waiter.callback(err, params);
+}
+
+
+/**
+ * If the waiter at the head of the queue is sleeping between attempts, cut the
+ * sleep short and have it try for the lock now.
+ *
+ * @param queueKey
+ */
+function wakeWaiter(queueKey) {
+
+    var queue = waitQueues[queueKey];
+    if (!queue) {
+        return;
+    }
+
+    var waiter = queue[0];
+    if (waiter.timer) {
+        clearTimeout(waiter.timer);
+        tryAcquire(queueKey, waiter);
+    }
+}
+
+
+function tryAcquire(queueKey, waiter) {
+
+    waiter.timer = null;
+    waiter.attempts += 1;
+
+    lock(waiter.params, function (err, params) {
+
+        //The waiter was cancelled while the attempt was in flight.  If we got
+        //the lock anyway, we need to give it back.
+        if (waiter.done) {
+            if (!err) {
+                params.releaseLock(function () {
+                });
+            }
+            return;
+        }
+
+        if (!(err instanceof LockError) || waiter.singleAttempt) {
+            finishWaiter(queueKey, waiter, err, params);
+            return;
+        }
+
+        //Keep new readers from jumping ahead of a waiting writer.
+        if (params.mode === EXCLUSIVE) {
+            markWriterPending(params);
+        }
+
+        waiter.timer = setTimeout(
+            tryAcquire.bind(null, queueKey, waiter),
+            getRetryDelay(waiter.attempts - 1)
+        );
+    });
+}
+
+
+//Waiters further back in the queue may never get a turn before they time out so
+//each one keeps its own deadline.
+function setDeadline(queueKey, waiter, waitTimeout) {
+
+    var params = waiter.params;
+
+    waiter.deadlineTimer = setTimeout(function () {
+        var logger = require('./loggers').getLogger();
+        logger.warn(
+            'lock wait timed out',
+            waiter.attempts + ' attempts',
+            params.accountId,
+            params.realmId,
+            params.lockId,
+            params.owner
+        );
+        finishWaiter(queueKey, waiter, new LockError('timed out waiting for lock'), params);
+    }, waitTimeout);
+}
+
+
+/**
+ * Like lock() but, rather than failing right away when the lock is already held,
+ * waits for it to become available.  Attempts are retried with a jittered
+ * exponential backoff and, when the lock is released by this same process, the
+ * next waiter is woken immediately.  Waiters within a process are served in
+ * the order they asked for the lock.
+ *
+ * If the lock cannot be acquired within params.waitTimeout ms (config.lock.waitTimeout
+ * by default), the callback gets a LockError just as lock() would.  A waitTimeout
+ * of 0 makes a single attempt without waiting, and fails right away if other
+ * callers in this process are already waiting for the lock.  The returned
+ * object can be used to stop waiting: calling cancel() ends the wait and the
+ * callback gets a LockError right away.
+ *
+ * The contract of lock() is unchanged. When the lock is acquired, the params
+ * contain the same releaseLock and renewLock functions.
+ *
+ * @param params Same as for lock()
+ * @param params.waitTimeout (optional) How long in ms to wait for the lock
+ * @param lockCallback
+ * @returns {{cancel: Function}}
+ */
+function acquireLock(params, lockCallback) {
+
+    var paramErrs = checkParameters(params);
+
+    if (paramErrs && paramErrs.length > 0) {
+        var logger = require('./loggers').getLogger();
+        logger.error(paramErrs.join(', '));
+        lockCallback(new Error(paramErrs.join(', ')), params);
+        return {
+            cancel: function () {
+            }
         };
+    }
+
+    var waitTimeout = params.waitTimeout >= 0 ? params.waitTimeout : config.lock.waitTimeout;
+    var queueKey = getQueueKey(params);
 
-        coll.insertOne(lockRecord, function (err, result) {
+    var waiter = {
+        params: params,
+        callback: lockCallback,
+        attempts: 0,
+        timer: null,
+        done: false
+    };
+
+    //A deadline of 0 would fire before the first attempt got an answer.
+    if (waitTimeout === 0) {
+        waiter.singleAttempt = true;
+    } else {
+        setDeadline(queueKey, waiter, waitTimeout);
+    }
+
+    if (!waitQueues[queueKey]) {
+        waitQueues[queueKey] = [];
+    }
+    waitQueues[queueKey].push(waiter);
+
+    if (waitQueues[queueKey].length === 1) {
+        tryAcquire(queueKey, waiter);
+    } else if (waiter.singleAttempt) {
+        finishWaiter(queueKey, waiter, new LockError('failed to acquire lock'), params);
+    }
+
+    return {
+        cancel: function () {
+            if (!waiter.done) {
+                finishWaiter(queueKey, waiter, new LockError('cancelled waiting for lock'), params);
+            }
+        }
+    };
+}
+module.exports.acquireLock = acquireLock;
+
+
+/**
+ * Acquires the lock, runs the work function and then always releases the lock,
+ * whether the work succeeds, fails or throws.  The work function is given the
+ * params (with the lock functions attached) and can return a value or a Promise.
+ *
+ * If params.waitTimeout is set, the lock is waited for as with acquireLock.
+ * Otherwise it fails right away with a LockError when the lock is held.
+ *
+ * The returned Promise resolves to the result of the work function or rejects
+ * with its error.  Problems releasing the lock are reported separately:
+ *
+ * - If the work succeeded but the release failed, the Promise rejects with a
+ *   LockReleaseError that holds the work result.
+ * - If both failed, the Promise rejects with the work error and the release
+ *   error is attached to it as releaseError.
+ *
+ * @param params Same as for lock() or acquireLock()
+ * @param work Function that does the work while the lock is held
+ * @returns {Promise}
+ */
+function withLock(params, work) {
+
+    var acquire = params && params.waitTimeout !== undefined ? acquireLock : lock;
+
+    return new Promise(function (resolve, reject) {
+
+        acquire(params, function (err, lockParams) {
 
             if (err) {
+                reject(err);
+                return;
+            }
 
-                //The MongodDB error code for inserting a duplicate key is
-                //11000.  We interpret this to be that the resource associated
-                //with this key is "locked". The failure handling for a locked resource
-                //is still a bit up in the air.  Right now we'll likely return
-                //a status code like 409 CONFLICT or 423 LOCKED.
-                if (err.code && err.code === 11000) {
-                    logger.warn(
-                        'lock acquired false',
-                        params.accountId,
-                        params.realmId,
-                        params.lockId,
-                        params.owner
-                    );
-                    lockCallback(new LockError('failed to acquire lock'), params);
-                    return;
+            function release(workErr, result) {
+
+                lockParams.releaseLock(function (releaseErr) {
+
+                    if (releaseErr) {
+                        var logger = require('./loggers').getLogger();
+                        logger.error(
+                            'lock release after work failed',
+                            lockParams.accountId,
+                            lockParams.realmId,
+                            lockParams.lockId,
+                            releaseErr.message
+                        );
+                    }
+
+                    if (workErr) {
+                        if (releaseErr && workErr instanceof Object) {
+                            workErr.releaseError = releaseErr;
+                        }
+                        reject(workErr);
+                        return;
+                    }
+
+                    if (releaseErr) {
+                        reject(new LockReleaseError('failed to release lock', releaseErr, result));
+                        return;
+                    }
+
+                    resolve(result);
+                });
+            }
+
+            //Wrapping the call also catches anything the work function throws
+            //synchronously.
+            new Promise(function (workResolve) {
+                workResolve(work(lockParams));
+            }).then(
+                function (result) {
+                    release(null, result);
+                },
+                function (workErr) {
+                    release(workErr || new Error('lock work failed'));
                 }
+            );
+        });
+    });
+}
+module.exports.withLock = withLock;
+
+
+/**
+ * Releases each of the provided locks.  All of the releases are attempted even if
+ * some of them fail. The callback gets the first error encountered, if any.
+ *
+ * @param heldLocks The params of each lock that is held
+ * @param cb
+ */
+function releaseAll(heldLocks, cb) {
 
-                logger.error('lock db insert error', params.accountId, params.realmId, params.lockId, err);
-                lockCallback(new Error('lock db insert error'), params);
+    var releaseErr;
+
+    async.each(heldLocks, function (heldLock, ecb) {
+        heldLock.releaseLock(function (err) {
+            releaseErr = releaseErr || err;
+            ecb();
+        });
+    }, function () {
+        cb(releaseErr);
+    });
+}
+
+
+/**
+ * Locks several resources together.  Taking locks one at a time in whatever order
+ * the caller happens to list them invites deadlocks when two operations want the
+ * same resources, so the lock ids are always acquired in a canonical (sorted)
+ * order.  Duplicate ids are ignored.
+ *
+ * Either all of the locks are acquired or none of them are.  If any lock cannot
+ * be acquired, the ones already acquired are released and the error for the
+ * failed lock (e.g. a LockError) is provided back.  If params.waitTimeout is set,
+ * each lock is waited for as with acquireLock.
+ *
+ * On success, the params have:
+ *
+ * - params.locks: the params for each individual lock, in acquisition order.
+ * - params.releaseLock(cb): releases all of the locks.
+ * - params.renewLock(cb): renews the lease on all of the locks.
+ *
+ * @param params Same as for lock() except that params.lockId is not used
+ * @param lockIds Array of lock ids to acquire
+ * @param lockCallback
+ */
+function lockAll(params, lockIds, lockCallback) {
+
+    var logger = require('./loggers').getLogger();
+
+    if (!params || !params.accountId || !params.realmId || !ld.isArray(lockIds) || ld.isEmpty(lockIds)) {
+        logger.error('lockAll requires params.accountId, params.realmId and an array of lock ids');
+        lockCallback(new Error('missing params.accountId, params.realmId or lockIds'), params);
+        return;
+    }
+
+    var acquire = params.waitTimeout !== undefined ? acquireLock : lock;
+    var sortedIds = ld.sortBy(ld.uniq(lockIds), String);
+    var heldLocks = [];
+
+    async.eachSeries(sortedIds, function (lockId, ecb) {
+
+        var lockParams = ld.pick(params, [
+            'accountId',
+            'realmId',
+            'owner',
+            'meta',
+            'leaseTime',
+            'mode',
+            'autoRenew',
+            'onLeaseLost',
+            'waitTimeout'
+        ]);
+        lockParams.lockId = lockId;
+
+        acquire(lockParams, function (err, acquiredParams) {
+
+            if (err) {
+                ecb(err);
                 return;
             }
 
-            var lockAcquiredTime = Date.now();
-            logger.debug(
-                'lock acquired true',
+            heldLocks.push(acquiredParams);
+            ecb();
+        });
+
+    }, function (err) {
+
+        if (err) {
+            logger.warn(
+                'lockAll acquired false',
+                heldLocks.length + ' of ' + sortedIds.length + ' rolled back',
                 params.accountId,
                 params.realmId,
-                params.lockId,
                 params.owner
             );
 
-            //Closure function for releasing the lock. This needs to be called
-            //whenever the work that uses the lock is done, whether it runs
-            //to completion, throws an error, etc.
-            params.releaseLock = function (lockReleaseCallback) {
+            //Give back whatever we managed to get, most recent first.
+            releaseAll(heldLocks.reverse(), function () {
+                lockCallback(err, params);
+            });
+            return;
+        }
 
-                var key = params.lockId;
-                var lockCollection = coll;
+        params.locks = heldLocks;
 
-                //To release the lock, we delete it from the database.
-                lockCollection.deleteOne({_id: key}, function (err, result) {
+        params.releaseLock = function (lockReleaseCallback) {
+            releaseAll(heldLocks, lockReleaseCallback);
+        };
 
-                    if (err) {
-                        logger.debug('lock db delete error', lockCollection.collectionName, key, err.message);
-                        lockReleaseCallback(new Error('lock db delete error'));
-                        return;
-                    }
+        params.renewLock = function (lockRenewCallback) {
+            async.each(heldLocks, function (heldLock, ecb) {
+                heldLock.renewLock(ecb);
+            }, lockRenewCallback);
+        };
 
-                    logger.debug(
-                        'lock released',
-                        Date.now() - lockAcquiredTime + ' ms',
-                        params.accountId,
-                        params.realmId,
-                        params.lockId,
-                        params.owner
-                    );
+        lockCallback(null, params);
+    });
+}
+module.exports.lockAll = lockAll;
 
-                    lockReleaseCallback();
 
-                });
-            };
+/**
+ * Converts a lock record into a form suitable for reporting.  The lease tokens
+ * are left out as they are what allows a holder to renew or release the lock.
+ *
+ * @param lockRecord
+ * @param now The time (in ms) used to calculate the age and expiry
+ * @returns {{lockId, mode, owner, acquired, expires, age, expired}}
+ */
+function describeLock(lockRecord, now) {
 
-            lockCallback(null, params);
+    function describeLease(lease) {
+        return {
+            owner: lease.owner,
+            acquired: lease.acquired,
+            expires: lease.expires,
+            age: lease.acquired ? now - lease.acquired.getTime() : undefined,
+            expired: lease.expires ? lease.expires.getTime() <= now : false
+        };
+    }
+
+    var description = describeLease(lockRecord);
+    description.lockId = lockRecord._id;
+    description.mode = lockRecord.mode || EXCLUSIVE;
+
+    if (description.mode === SHARED) {
+        description.readers = ld.map(lockRecord.readers, describeLease);
+        description.owner = ld.map(ld.reject(description.readers, 'expired'), 'owner');
+        description.writerPending = !!lockRecord.writerPending && lockRecord.writerPending.getTime() > now;
+    }
+
+    return description;
+}
+
+
+/**
+ * Get a listing of the locks in the given account and realm along with who owns
+ * them, when they were acquired and how long they've been held.  Intended for
+ * tooling that helps track down stuck locks.
+ *
+ * @param accountId
+ * @param realmId
+ * @param cb Called with an array of lock descriptions
+ */
+function listLocks(accountId, realmId, cb) {
+
+    var logger = require('./loggers').getLogger();
+
+    db.getCollection(accountId, realmId, LOCKS_COLLECTION, function (err, coll) {
 
+        if (err) {
+            logger.error('db collection error', accountId, realmId, err);
+            cb(new Error('db collection error'));
+            return;
+        }
+
+        coll.find({}).toArray(function (err, lockRecords) {
+
+            if (err) {
+                logger.error('lock db find error', accountId, realmId, err);
+                cb(new Error('lock db find error'));
+                return;
+            }
+
+            var now = Date.now();
+            cb(null, ld.map(lockRecords, function (lockRecord) {
+                return describeLock(lockRecord, now);
+            }));
         });
+    });
+}
+module.exports.listLocks = listLocks;
+
 
+/**
+ * Get the description of a single lock.  If the lock is not currently held, the
+ * callback gets null.
+ *
+ * @param accountId
+ * @param realmId
+ * @param lockId
+ * @param cb
+ */
+function getLock(accountId, realmId, lockId, cb) {
+
+    var logger = require('./loggers').getLogger();
+
+    db.getCollection(accountId, realmId, LOCKS_COLLECTION, function (err, coll) {
+
+        if (err) {
+            logger.error('db collection error', accountId, realmId, lockId, err);
+            cb(new Error('db collection error'));
+            return;
+        }
+
+        coll.findOne({_id: lockId}, function (err, lockRecord) {
+
+            if (err) {
+                logger.error('lock db find error', accountId, realmId, lockId, err);
+                cb(new Error('lock db find error'));
+                return;
+            }
+
+            cb(null, lockRecord ? describeLock(lockRecord, Date.now()) : null);
+        });
     });
+}
+module.exports.getLock = getLock;
+
+
+/**
+ * Records a forced release in the audit collection for the account.  The record
+ * follows the same shape as the ones written by the audit logger.
+ */
+function auditForcedRelease(params, description, cb) {
+
+    var auditRecord = {
+        realmName: params.realmId,
+        service: (params.meta && params.meta.service) || 'unknown',
+        message: 'lock force released: ' + description.lockId + (params.reason ? ' (' + params.reason + ')' : ''),
+        level: 'warn',
+        time: new Date(),
+        lock: description
+    };
+
+    if (params.meta && params.meta.tx) {
+        auditRecord.tx = params.meta.tx;
+    }
+
+    if (params.username) {
+        auditRecord.username = params.username;
+    }
+
+    db.getCollection(
+        params.accountId,
+        config.auditLoggerSettings.fixedRealm,
+        config.auditLoggerSettings.collection,
+        function (err, coll) {
+
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            coll.insertOne(auditRecord, cb);
+        });
+}
+
+
+/**
+ * Releases a lock regardless of who holds it.  This is an administrative tool for
+ * clearing a lock that is stuck and should be used with care: the current
+ * holder(s) will find the lease lost the next time they try to renew it.  Each
+ * forced release is recorded in the audit collection of the account.
+ *
+ * @param params
+ * @param params.accountId
+ * @param params.realmId
+ * @param params.lockId
+ * @param params.username (optional) Who requested the release
+ * @param params.reason (optional) Why the lock was released
+ * @param params.meta (optional) Used for the service and tx of the audit record
+ * @param cb Called with the description of the lock that was released
+ */
+function forceReleaseLock(params, cb) {
+
+    var logger = require('./loggers').getLogger();
 
+    if (!params || !params.accountId || !params.realmId || !params.lockId) {
+        logger.error('forceReleaseLock requires params.accountId, params.realmId and params.lockId');
+        cb(new Error('missing params.accountId, params.realmId or params.lockId'));
+        return;
+    }
+
+    db.getCollection(params.accountId, params.realmId, LOCKS_COLLECTION, function (err, coll) {
+
+        if (err) {
+            logger.error('db collection error', params.accountId, params.realmId, params.lockId, err);
+            cb(new Error('db collection error'));
+            return;
+        }
+
+        coll.findOneAndDelete({_id: params.lockId}, function (err, result) {
+
+            if (err) {
+                logger.error('lock db delete error', params.accountId, params.realmId, params.lockId, err);
+                cb(new Error('lock db delete error'));
+                return;
+            }
+
+            if (!result.value) {
+                cb(new errors.NotFoundError('lockNotFound'));
+                return;
+            }
+
+            var description = describeLock(result.value, Date.now());
+
+            logger.warn(
+                'lock force released',
+                params.accountId,
+                params.realmId,
+                params.lockId,
+                description.owner,
+                params.username,
+                params.reason
+            );
+
+            wakeWaiter(getQueueKey(params));
+
+            auditForcedRelease(params, description, function (err) {
+
+                //The lock is gone either way so we don't fail the release but
+                //we do want to know the audit trail is incomplete.
+                if (err) {
+                    logger.error('lock force release audit error', params.accountId, params.realmId, params.lockId, err);
+                }
+
+                cb(null, description);
+            });
+        });
+    });
 }
-module.exports.lock = lock;
\ No newline at end of file
+module.exports.forceReleaseLock = forceReleaseLock;
@@ -0,0 +1,135 @@
+/*
+ * ICESOFT COMMERCIAL SOURCE CODE LICENSE V 1.1
+ *
+ * The contents of this file are subject to the ICEsoft Commercial Source
+ * Code License Agreement V1.1 (the "License"); you may not use this file
+ * except in compliance with the License. You may obtain a copy of the
+ * License at
+ * http://www.icesoft.com/license/commercial-source-v1.1.html
+ *
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License.
+ *
+ * Copyright 2009-2014 ICEsoft Technologies Canada, Corp. All Rights Reserved.
+ */
+
+/**
+ * A simple least-recently-used cache.  Once the cache holds maxEntries, adding
+ * another entry evicts the one that was used least recently.  Entries can also
+ * be given a time to live, after which they are treated as missing.
+ *
+ * A Map keeps its keys in insertion order so moving an entry to the end each
+ * time it's used means the first key is always the least recently used one.
+ *
+ * @param maxEntries The most entries to keep.
+ * @param onEvict Optional function(key, value) called when an entry is evicted
+ *                to make room for another.
+ * @constructor
+ */
+function LRUCache(maxEntries, onEvict) {
+    this.maxEntries = maxEntries;
+    this.onEvict = onEvict;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+}
+
+/**
+ * @param key
+ * @returns The cached value or undefined if there isn't one (or it has expired).
+ */
+LRUCache.prototype.get = function (key) {
+
+    var entry = this.entries.get(key);
+
+    if (entry && entry.expires && entry.expires <= Date.now()) {
+        this.entries.delete(key);
+        entry = undefined;
+    }
+
+    if (!entry) {
+        this.misses++;
+        return;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+};
+
+/**
+ * @param key
+ * @param value
+ * @param ttl Optional time (in ms) that the entry is valid for.
+ */
+LRUCache.prototype.set = function (key, value, ttl) {
+
+    this.entries.delete(key);
+    this.entries.set(key, {
+        value: value,
+        expires: ttl ? Date.now() + ttl : undefined
+    });
+
+    while (this.entries.size > this.maxEntries) {
+        var oldestKey = this.entries.keys().next().value;
+        var oldest = this.entries.get(oldestKey);
+        this.entries.delete(oldestKey);
+        this.evictions++;
+        if (this.onEvict) {
+            this.onEvict(oldestKey, oldest.value);
+        }
+    }
+};
+
+/**
+ * Like get but doesn't count as using the entry.
+ *
+ * @param key
+ * @returns The cached value or undefined if there isn't one (or it has expired).
+ */
+LRUCache.prototype.peek = function (key) {
+    var entry = this.entries.get(key);
+    if (entry && (!entry.expires || entry.expires > Date.now())) {
+        return entry.value;
+    }
+};
+
+LRUCache.prototype.has = function (key) {
+    var entry = this.entries.get(key);
+    return !!entry && (!entry.expires || entry.expires > Date.now());
+};
+
+LRUCache.prototype.delete = function (key) {
+    return this.entries.delete(key);
+};
+
+LRUCache.prototype.clear = function () {
+    this.entries.clear();
+};
+
+LRUCache.prototype.keys = function () {
+    return Array.from(this.entries.keys());
+};
+
+LRUCache.prototype.size = function () {
+    return this.entries.size;
+};
+
+/**
+ * @returns {{size: number, maxEntries: number, hits: number, misses: number, evictions: number}}
+ */
+LRUCache.prototype.getStats = function () {
+    return {
+        size: this.entries.size,
+        maxEntries: this.maxEntries,
+        hits: this.hits,
+        misses: this.misses,
+        evictions: this.evictions
+    };
+};
+
+module.exports.LRUCache = LRUCache;
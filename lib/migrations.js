@@ -0,0 +1,465 @@
+/*
+ * ICESOFT COMMERCIAL SOURCE CODE LICENSE V 1.1
+ *
+ * The contents of this file are subject to the ICEsoft Commercial Source
+ * Code License Agreement V1.1 (the "License"); you may not use this file
+ * except in compliance with the License. You may obtain a copy of the
+ * License at
+ * http://www.icesoft.com/license/commercial-source-v1.1.html
+ *
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License.
+ *
+ * Copyright 2009-2014 ICEsoft Technologies Canada, Corp. All Rights Reserved.
+ */
+
+var async = require('async');
+var ld = require('lodash');
+var db = require('./db');
+var lock = require('./lock');
+
+//Applied migrations are recorded in each account database, in the admin realm.
+//Migrations that were run for a single realm are recorded with its name and
+//ones run for the whole account are recorded with a realmName of null.
+var MIGRATIONS_REALM = 'admin';
+var MIGRATIONS_COLLECTION = 'migrations';
+
+//Only one migration run at a time for each account.
+var MIGRATIONS_LOCK = 'migrations';
+
+//MongoDB's own databases, which never hold an account.
+var SYSTEM_DATABASES = ['admin', 'local', 'config'];
+
+var UP = 'up';
+module.exports.UP = UP;
+
+var DOWN = 'down';
+module.exports.DOWN = DOWN;
+
+//The registered migrations in the order they are applied.
+var registeredMigrations = [];
+
+
+/**
+ * Register a migration.  Migrations are applied in the order that they are
+ * registered and reverted in the reverse order.
+ *
+ * The up and down functions are called with a context and a callback of the form
+ * function(err).  The context is {accountName, realmName, database} where database
+ * is the account database and realmName is only set when migrating a single realm.
+ *
+ * @param migration
+ * @param migration.id Unique id of the migration (e.g. '2019-11-add-scope-owner')
+ * @param migration.description (optional)
+ * @param migration.up function(context, cb) that applies the migration
+ * @param migration.down (optional) function(context, cb) that reverts it
+ */
+function registerMigration(migration) {
+
+    if (!migration || !migration.id) {
+        throw new Error('migration needs an id');
+    }
+
+    if (typeof migration.up !== 'function') {
+        throw new Error('migration ' + migration.id + ' needs an up function');
+    }
+
+    if (migration.down && typeof migration.down !== 'function') {
+        throw new Error('migration ' + migration.id + ' has a down that is not a function');
+    }
+
+    if (ld.find(registeredMigrations, {id: migration.id})) {
+        throw new Error('migration ' + migration.id + ' is already registered');
+    }
+
+    registeredMigrations.push(migration);
+}
+module.exports.registerMigration = registerMigration;
+
+/**
+ * @returns {Array} The ids of the registered migrations in the order they are applied.
+ */
+function getMigrationIds() {
+    return ld.map(registeredMigrations, 'id');
+}
+module.exports.getMigrationIds = getMigrationIds;
+
+
+function getMigrationsCollection(accountName, cb) {
+    db.getCollection(accountName, MIGRATIONS_REALM, MIGRATIONS_COLLECTION, cb);
+}
+
+/**
+ * Get the ids of the migrations that have been applied to an account or realm,
+ * in the order they were applied.
+ *
+ * @param accountName
+ * @param realmName (optional) Defaults to the migrations run for the whole account
+ * @param cb function(err, ids)
+ */
+function getAppliedMigrations(accountName, realmName, cb) {
+
+    if (typeof realmName === 'function') {
+        cb = realmName;
+        realmName = undefined;
+    }
+
+    getMigrationsCollection(accountName, function (err, coll) {
+
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        coll.find({realmName: realmName || null})
+            .sort({appliedAt: 1, _id: 1})
+            .toArray(function (err, records) {
+
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                cb(null, ld.map(records, 'migrationId'));
+            });
+    });
+}
+module.exports.getAppliedMigrations = getAppliedMigrations;
+
+function recordMigration(coll, direction, migration, realmName, cb) {
+
+    var filter = {migrationId: migration.id, realmName: realmName || null};
+
+    if (direction === DOWN) {
+        coll.deleteOne(filter, function (err) {
+            cb(err);
+        });
+        return;
+    }
+
+    var record = ld.assign({}, filter, {
+        description: migration.description,
+        appliedAt: new Date()
+    });
+
+    coll.insertOne(record, function (err) {
+        cb(err);
+    });
+}
+
+/**
+ * Work out which migrations to run, and in which order, given the ones that
+ * have already been applied.
+ *
+ * Going up, every registered migration that hasn't been applied is run, stopping
+ * after options.to if it is set.  Going down, the applied migrations after
+ * options.to are reverted, newest first.  Without options.to, only the newest
+ * one is reverted.
+ *
+ * @param appliedIds The ids of the migrations that have been applied
+ * @param options {direction, to} as for migrate
+ * @returns {Array} The migrations to run
+ */
+function getSteps(appliedIds, options) {
+
+    var registeredIds = getMigrationIds();
+    var toIndex = options.to ? registeredIds.indexOf(options.to) : -1;
+
+    if (options.to && toIndex < 0) {
+        throw new Error('unknown migration: ' + options.to);
+    }
+
+    var unknownIds = ld.difference(appliedIds, registeredIds);
+    if (unknownIds.length > 0) {
+        throw new Error('applied migrations are not registered: ' + unknownIds.join(', '));
+    }
+
+    if (options.direction === DOWN) {
+
+        var applied = registeredMigrations.filter(function (migration, index) {
+            return appliedIds.indexOf(migration.id) >= 0 && index > toIndex;
+        });
+
+        applied.reverse();
+        return options.to ? applied : applied.slice(0, 1);
+    }
+
+    return registeredMigrations.filter(function (migration, index) {
+        return appliedIds.indexOf(migration.id) < 0 && (!options.to || index <= toIndex);
+    });
+}
+module.exports.getSteps = getSteps;
+
+//checkLock returns an error once the migrations lock has been lost.  Nothing
+//more is run or recorded after that since another service may now be migrating.
+function runSteps(accountName, realmName, steps, direction, report, checkLock, cb) {
+
+    getMigrationsCollection(accountName, function (err, coll) {
+
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        db.getConnectionCurrentStrategy(accountName, function (err, database) {
+
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            var context = {
+                accountName: accountName,
+                realmName: realmName,
+                database: database
+            };
+
+            async.eachSeries(steps, function (migration, ecb) {
+
+                var step = direction === DOWN ? migration.down : migration.up;
+
+                var lockErr = checkLock();
+                if (lockErr) {
+                    ecb(lockErr);
+                    return;
+                }
+
+                if (!step) {
+                    ecb(new Error('migration ' + migration.id + ' cannot be reverted'));
+                    return;
+                }
+
+                step(context, function (err) {
+
+                    if (err) {
+                        ecb(err);
+                        return;
+                    }
+
+                    lockErr = checkLock();
+                    if (lockErr) {
+                        ecb(lockErr);
+                        return;
+                    }
+
+                    recordMigration(coll, direction, migration, realmName, function (err) {
+
+                        if (err) {
+                            ecb(err);
+                            return;
+                        }
+
+                        report.completed.push(migration.id);
+                        ecb();
+                    });
+                });
+
+            }, cb);
+        });
+    });
+}
+
+function migrateAccount(accountName, options, cb) {
+
+    var logger = require('./loggers').getLogger();
+
+    var report = {
+        accountName: accountName,
+        realmName: options.realmName,
+        direction: options.direction,
+        dryRun: !!options.dryRun,
+        steps: [],
+        completed: []
+    };
+
+    var heldLock;
+    var leaseLost;
+
+    function checkLock() {
+        if (leaseLost) {
+            return new Error('lost the migrations lock for ' + accountName);
+        }
+    }
+
+    function done(err) {
+
+        if (err) {
+            logger.error('migrating', accountName, options.realmName || '', 'failed', err.message);
+            report.error = err.message;
+        }
+
+        if (!heldLock) {
+            cb(null, report);
+            return;
+        }
+
+        //The migrations are already recorded so a lock that can't be released
+        //just waits for its lease to run out.
+        heldLock.releaseLock(function (releaseErr) {
+            if (releaseErr) {
+                logger.warn('could not release migrations lock', accountName, releaseErr.message);
+            }
+            cb(null, report);
+        });
+    }
+
+    //The lock keeps two services from migrating the same account at once. We
+    //check what needs doing once we have it so we don't repeat work that the
+    //other one just did.
+    function checkAndRun() {
+
+        getAppliedMigrations(accountName, options.realmName, function (err, appliedIds) {
+
+            if (err) {
+                done(err);
+                return;
+            }
+
+            var steps;
+            try {
+                steps = getSteps(appliedIds, options);
+            } catch (e) {
+                done(e);
+                return;
+            }
+
+            report.steps = ld.map(steps, function (migration) {
+                return {id: migration.id, description: migration.description};
+            });
+
+            if (options.dryRun || steps.length === 0) {
+                done();
+                return;
+            }
+
+            logger.info('migrating', accountName, options.realmName || '', options.direction, ld.map(steps, 'id'));
+            runSteps(accountName, options.realmName, steps, options.direction, report, checkLock, done);
+        });
+    }
+
+    //Looking at what would be done doesn't need the lock.
+    if (options.dryRun) {
+        checkAndRun();
+        return;
+    }
+
+    var lockParams = {
+        accountId: accountName,
+        realmId: MIGRATIONS_REALM,
+        lockId: MIGRATIONS_LOCK,
+        owner: options.owner || 'migrations',
+        autoRenew: true,
+        onLeaseLost: function (err) {
+            logger.warn('lost the migrations lock', accountName, err && err.message);
+            leaseLost = true;
+        }
+    };
+
+    lock.lock(lockParams, function (err, params) {
+
+        if (err) {
+            done(err instanceof lock.LockError ? new Error('migrations are already running for ' + accountName) : err);
+            return;
+        }
+
+        heldLock = params;
+        checkAndRun();
+    });
+}
+
+/**
+ * Get the accounts to migrate.  That's either the one asked for or every account
+ * database on the server.
+ */
+function getAccountNames(options, cb) {
+
+    if (options.accountName) {
+        cb(null, [db.getSafeDatabaseName(options.accountName)]);
+        return;
+    }
+
+    db.getDatabaseList(function (err, databases) {
+
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        var accountNames = ld.map(databases, 'name').filter(function (name) {
+            return SYSTEM_DATABASES.indexOf(name) < 0;
+        });
+
+        cb(null, accountNames);
+    });
+}
+
+/**
+ * Run the registered migrations up or down.  By default every account database
+ * returned by db.getDatabaseList is migrated.  With options.accountName only that
+ * account is and, if options.realmName is also given, only that realm.
+ *
+ * Each account is migrated while holding its migrations lock, so if another
+ * service is already migrating an account, that account is reported as failed
+ * and the rest carry on.  A failed step stops the account it was running in
+ * but the steps before it stay applied.  So does losing the lock (its lease
+ * couldn't be renewed), before the next step is run or recorded.
+ *
+ * With options.dryRun nothing is run or locked. The reports just list the steps
+ * that would be.
+ *
+ * @param options
+ * @param options.direction (optional) 'up' (the default) or 'down'
+ * @param options.to (optional) Id of the migration to go up to or down to
+ * @param options.accountName (optional) Only migrate this account
+ * @param options.realmName (optional) Only migrate this realm of the account
+ * @param options.dryRun (optional) Report the steps without running them
+ * @param options.owner (optional) Owner recorded on the migrations lock
+ * @param cb function(err, reports) with a report for each account of the form
+ *           {accountName, realmName, direction, dryRun, steps, completed, error}
+ *           where steps is the {id, description} of each migration to run and
+ *           completed is the ids of the ones that were.  err is set if any of
+ *           the accounts failed.
+ */
+function migrate(options, cb) {
+
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+
+    options = ld.assign({direction: UP}, options);
+
+    if (options.direction !== UP && options.direction !== DOWN) {
+        cb(new Error('unknown migration direction: ' + options.direction));
+        return;
+    }
+
+    if (options.realmName && !options.accountName) {
+        cb(new Error('migrating a realm needs an accountName'));
+        return;
+    }
+
+    getAccountNames(options, function (err, accountNames) {
+
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        async.mapSeries(accountNames, function (accountName, mcb) {
+            migrateAccount(accountName, options, mcb);
+        }, function (err, reports) {
+
+            var failed = ld.filter(reports, 'error');
+            if (failed.length > 0) {
+                cb(new Error('migrations failed for ' + ld.map(failed, 'accountName').join(', ')), reports);
+                return;
+            }
+
+            cb(null, reports);
+        });
+    });
+}
+module.exports.migrate = migrate;
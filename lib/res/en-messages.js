@@ -103,6 +103,7 @@ var errConstantsEnglish = {
     groupNotFound: 'Group not found',
     contextNotFound: 'Context not found',
     transactionNotFound: 'Transaction Code not found',
+    lockNotFound: 'Lock not found',
     maximumLinkAttemptsExceeded: 'Unsuccessful link attempt maximum exceeded',
 
 
@@ -105,6 +105,7 @@ var errConstantsSpanish = {
     groupNotFound: 'Group not found',
     contextNotFound: 'Context not found',
     transactionNotFound: 'Transaction Code not found',
+    lockNotFound: 'Lock not found',
     maximumLinkAttemptsExceeded: 'Unsuccessful link attempt maximum exceeded',
 
 
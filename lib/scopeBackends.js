@@ -0,0 +1,658 @@
+/*
+ * ICESOFT COMMERCIAL SOURCE CODE LICENSE V 1.1
+ *
+ * The contents of this file are subject to the ICEsoft Commercial Source
+ * Code License Agreement V1.1 (the "License"); you may not use this file
+ * except in compliance with the License. You may obtain a copy of the
+ * License at
+ * http://www.icesoft.com/license/commercial-source-v1.1.html
+ *
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License.
+ *
+ * Copyright 2009-2014 ICEsoft Technologies Canada, Corp. All Rights Reserved.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var uuid = require('uuid');
+var ld = require('lodash');
+var db = require('./db');
+var config = require('./config');
+
+//Scopes are kept in a backend.  The default is the scopes collection of each
+//realm in Mongo but each type of scope can be kept somewhere else (see
+//config.scopes.backends).
+//
+//A backend is a function(accountName, realmName, cb) that calls back with a
+//store for the scopes of that account and realm.  Scopes are stored as
+//documents with their id in _scopeId.  A store has these functions, each of
+//which returns a Promise:
+//
+//  findScope(scopeId, now)       resolves to the scope, or undefined if it doesn't
+//                                exist or expired before now
+//  findScopes(scopeIds, now)     resolves to an array of the scopes that exist and
+//                                haven't expired
+//  findAllScopes()               resolves to an array of all the scopes
+//  updateScope(scopeId, update, options)
+//                                applies a Mongo style update ($set, $unset, $inc,
+//                                $push, $addToSet, $pull and $setOnInsert) and
+//                                resolves to the updated scope, or null if there is
+//                                no matching scope to update.  The options are:
+//                                  upsert: create the scope if it doesn't exist
+//                                  liveAt: only update the scope if it hasn't
+//                                          expired by then.  With upsert, a
+//                                          scope that has expired is replaced
+//                                          by a new one.
+//                                  condition: only update the scope if these
+//                                             attributes match.  A value of
+//                                             {$eq: value} means the attribute
+//                                             equals the value and {$exists: false}
+//                                             means the attribute isn't set.  An
+//                                             array attribute doesn't equal a
+//                                             value that isn't an array, even one
+//                                             that it holds.
+//  insertScope(scopeId, update, now)
+//                                creates the scope from the $set and $setOnInsert
+//                                of the update if it doesn't exist yet or expired
+//                                before now.  Resolves to the new scope or null if
+//                                a live one already existed.
+//  removeExpiredScope(scopeId, now)  removes the scope if it expired before now
+//  removeScope(scopeId)          removes the scope
+//
+//A store also has an id that is unique to the backend, account and realm.  It
+//can optionally have:
+//
+//  prepare(cb)                   called before the store is first used
+//  watch(scopeId)                returns an EventEmitter of 'change' events for
+//                                the scope (or all scopes if there's no scopeId),
+//                                in the format of a Mongo change stream, with a
+//                                close() function to stop watching.
+
+//When a scope expires (see scopes.js).
+var SCOPE_EXPIRES = '_scopeExpires';
+module.exports.SCOPE_EXPIRES = SCOPE_EXPIRES;
+
+
+// -------------------------
+// MONGO
+// -------------------------
+
+//Only scopes that haven't expired yet.  The TTL index only removes expired
+//scopes periodically so they are also filtered out when read.
+function getLiveScopeFilter(scopeId, now) {
+
+    var neverExpires = {};
+    neverExpires[SCOPE_EXPIRES] = {$exists: false};
+
+    var notExpired = {};
+    notExpired[SCOPE_EXPIRES] = {$gt: now};
+
+    return {
+        _scopeId: scopeId,
+        $or: [neverExpires, notExpired]
+    };
+}
+
+/**
+ * Keeps scopes in the scopes collection of the realm.  The indexes it relies on
+ * are declared in indexes.js and created when the collection is first used.
+ *
+ * @param scopesCollection
+ * @param accountName The safe account (database) name
+ * @constructor
+ */
+function MongoScopeStore(scopesCollection, accountName) {
+    this.id = 'mongo:' + scopesCollection.namespace;
+    this.collection = scopesCollection;
+    this.accountName = accountName;
+}
+
+MongoScopeStore.prototype.findScope = function (scopeId, now) {
+    return this.collection
+        .find(getLiveScopeFilter(scopeId, now))
+        .limit(1)
+        .toArray()
+        .then(function (result) {
+            return result[0];
+        });
+};
+
+MongoScopeStore.prototype.findScopes = function (scopeIds, now) {
+    return this.collection
+        .find(getLiveScopeFilter({$in: scopeIds}, now))
+        .toArray();
+};
+
+MongoScopeStore.prototype.findAllScopes = function () {
+    return this.collection
+        .find()
+        .toArray();
+};
+
+//Mongo matches a value against the elements of an array as well as the array
+//itself so values that aren't arrays have to rule arrays out.
+function getConditionFilter(condition) {
+    return ld.mapValues(condition, function (expected) {
+        if (ld.has(expected, '$eq') && !Array.isArray(expected.$eq)) {
+            return {$eq: expected.$eq, $not: {$type: 'array'}};
+        }
+        return expected;
+    });
+}
+
+MongoScopeStore.prototype.updateScope = function (scopeId, update, options) {
+
+    options = options || {};
+
+    var filter = options.liveAt ? getLiveScopeFilter(scopeId, options.liveAt) : {_scopeId: scopeId};
+    if (options.condition) {
+        Object.assign(filter, getConditionFilter(options.condition));
+    }
+
+    var self = this;
+
+    function findAndUpdate() {
+        return self.collection
+            .findOneAndUpdate(filter, update, {upsert: !!options.upsert, returnOriginal: false})
+            .then(function (result) {
+                return result.value;
+            });
+    }
+
+    if (!options.upsert || !options.liveAt) {
+        return findAndUpdate();
+    }
+
+    //An expired scope that the TTL index hasn't removed yet doesn't match the
+    //filter but still has the _scopeId so the insert fails on the unique index.
+    //Only then is it removed and the write tried again, which also covers another
+    //write creating the scope first.
+    return findAndUpdate().catch(function (err) {
+
+        if (err.code !== 11000) {
+            throw err;
+        }
+
+        return self.removeExpiredScope(scopeId, options.liveAt).then(findAndUpdate);
+    });
+};
+
+MongoScopeStore.prototype.insertScope = function (scopeId, update, now) {
+
+    var self = this;
+    var fields = Object.assign({}, update.$set, update.$setOnInsert);
+
+    function insert() {
+        return self.collection
+            .findOneAndUpdate({_scopeId: scopeId}, {$setOnInsert: fields}, {upsert: true, returnOriginal: false})
+            .then(function (result) {
+                return result.lastErrorObject && result.lastErrorObject.updatedExisting ? null : result.value;
+            });
+    }
+
+    return insert().then(function (inserted) {
+
+        if (inserted || !now) {
+            return inserted;
+        }
+
+        //What's there may have expired, in which case it's replaced.
+        return self.removeExpiredScope(scopeId, now).then(function (result) {
+            return result.deletedCount > 0 ? insert() : null;
+        });
+    });
+};
+
+MongoScopeStore.prototype.removeExpiredScope = function (scopeId, now) {
+
+    var expired = {_scopeId: scopeId};
+    expired[SCOPE_EXPIRES] = {$lte: now};
+
+    return this.collection.deleteOne(expired);
+};
+
+MongoScopeStore.prototype.removeScope = function (scopeId) {
+    return this.collection
+        .remove({_scopeId: scopeId})
+        .then(function (result) {
+            if (!result.result || result.result.ok !== 1) {
+                throw result.result;
+            }
+        });
+};
+
+//Change streams need a replica set.  Without one, the stream emits an error.
+//The stream also emits an error when the account's connection is closed since
+//it stops getting changes then.
+MongoScopeStore.prototype.watch = function (scopeId) {
+
+    if (typeof this.collection.watch !== 'function') {
+        return;
+    }
+
+    var changeStream;
+
+    //Watching all the scopes is only used to find out which scope changed, not
+    //how, so the documents aren't needed.
+    if (!scopeId) {
+        changeStream = this.collection.watch([
+            {$project: {operationType: 1, documentKey: 1, 'fullDocument._scopeId': 1}}
+        ]);
+    } else {
+        changeStream = this.collection.watch(
+            [{$match: {$or: [{'fullDocument._scopeId': scopeId}, {operationType: 'delete'}]}}],
+            {fullDocument: 'updateLookup'});
+    }
+
+    var accountName = this.accountName;
+    var stopListening = db.onConnectionClosed(function (closedAccountName) {
+        if (closedAccountName === accountName) {
+            stopListening();
+            changeStream.emit('error', new Error('connection closed for ' + accountName));
+        }
+    });
+    changeStream.once('error', stopListening);
+
+    var close = changeStream.close;
+    changeStream.close = function () {
+        stopListening();
+        return close.apply(changeStream, arguments);
+    };
+
+    return changeStream;
+};
+
+function mongoBackend(accountName, realmName, cb) {
+
+    db.getCollection(accountName, realmName, 'scopes', function (err, scopesCollection) {
+
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        cb(null, new MongoScopeStore(scopesCollection, db.getSafeDatabaseName(accountName)));
+    });
+}
+
+
+// -------------------------
+// MEMORY
+// -------------------------
+
+//The scopes of each account and realm, by scope id.  These only exist in this
+//service instance and are gone when it stops.
+var memoryScopes = {};
+var memoryEvents = {};
+var sweepTimer;
+
+function isLive(doc, now) {
+    return !doc[SCOPE_EXPIRES] || doc[SCOPE_EXPIRES] > now;
+}
+
+function isExpired(doc, now) {
+    return !!doc[SCOPE_EXPIRES] && doc[SCOPE_EXPIRES] <= now;
+}
+
+function matchesCondition(doc, condition) {
+    return Object.keys(condition).every(function (key) {
+        var expected = condition[key];
+        if (ld.isEqual(expected, {$exists: false})) {
+            return ld.get(doc, key) === undefined;
+        }
+        return ld.isEqual(ld.get(doc, key), expected.$eq);
+    });
+}
+
+//Like Mongo, objects given to $pull are matched against the array elements
+//rather than compared with them.
+function matchesPulled(element, pulled) {
+    if (ld.isPlainObject(pulled)) {
+        return ld.isPlainObject(element) && ld.isMatch(element, pulled);
+    }
+    return ld.isEqual(element, pulled);
+}
+
+function getArray(doc, key, operator) {
+
+    var current = ld.get(doc, key);
+
+    if (current !== undefined && !Array.isArray(current)) {
+        throw new Error('Cannot apply ' + operator + ' to non-array field ' + key);
+    }
+
+    return current;
+}
+
+//Applies the update operators that scopes use to a copy of the document.  Like
+//Mongo, a failing operator leaves the document unchanged.
+function applyUpdate(doc, update, inserting) {
+
+    var updated = ld.cloneDeep(doc);
+
+    function setValue(value, key) {
+        ld.setWith(updated, key, ld.cloneDeep(value), Object);
+    }
+
+    ld.forEach(update.$set, setValue);
+
+    if (inserting) {
+        ld.forEach(update.$setOnInsert, setValue);
+    }
+
+    ld.forEach(update.$unset, function (value, key) {
+        ld.unset(updated, key);
+    });
+
+    ld.forEach(update.$inc, function (amount, key) {
+        var current = ld.get(updated, key);
+        if (current !== undefined && typeof current !== 'number') {
+            throw new Error('Cannot apply $inc to a value of non-numeric type ' + key);
+        }
+        setValue((current || 0) + amount, key);
+    });
+
+    ld.forEach(update.$push, function (value, key) {
+        var current = getArray(updated, key, '$push');
+        setValue((current || []).concat([value]), key);
+    });
+
+    ld.forEach(update.$addToSet, function (value, key) {
+        var current = getArray(updated, key, '$addToSet') || [];
+        var exists = current.some(function (element) {
+            return ld.isEqual(element, value);
+        });
+        setValue(exists ? current : current.concat([value]), key);
+    });
+
+    ld.forEach(update.$pull, function (value, key) {
+        var current = getArray(updated, key, '$pull');
+        if (current) {
+            setValue(current.filter(function (element) {
+                return !matchesPulled(element, value);
+            }), key);
+        }
+    });
+
+    return updated;
+}
+
+//Removes the expired scopes.  Reads ignore them anyway so this is only to free
+//up the memory they use.
+function sweepMemoryScopes() {
+
+    var now = new Date();
+
+    Object.keys(memoryScopes).forEach(function (locationKey) {
+
+        var scopes = memoryScopes[locationKey];
+
+        scopes.forEach(function (doc, scopeId) {
+            if (isExpired(doc, now)) {
+                scopes.delete(scopeId);
+                memoryEvents[locationKey].emit('change', {operationType: 'delete', documentKey: {_id: doc._id}});
+            }
+        });
+    });
+}
+
+function startSweeping() {
+
+    if (sweepTimer) {
+        return;
+    }
+
+    sweepTimer = setInterval(sweepMemoryScopes, config.scopes.memory.sweepInterval);
+
+    //Sweeping shouldn't keep the process running on its own.
+    if (sweepTimer.unref) {
+        sweepTimer.unref();
+    }
+}
+
+/**
+ * Keeps scopes in the memory of this service instance.  Documents are copied on
+ * the way in and out so that changing them doesn't change what's stored.
+ *
+ * @param accountName
+ * @param realmName
+ * @constructor
+ */
+function MemoryScopeStore(accountName, realmName) {
+
+    var locationKey = accountName + '/' + realmName;
+
+    if (!memoryScopes[locationKey]) {
+        memoryScopes[locationKey] = new Map();
+        memoryEvents[locationKey] = new EventEmitter();
+        memoryEvents[locationKey].setMaxListeners(0);
+    }
+
+    this.id = 'memory:' + locationKey;
+    this.scopes = memoryScopes[locationKey];
+    this.events = memoryEvents[locationKey];
+
+    startSweeping();
+}
+
+MemoryScopeStore.prototype.emitChange = function (operationType, doc) {
+
+    if (this.events.listenerCount('change') === 0) {
+        return;
+    }
+
+    var change = {operationType: operationType, documentKey: {_id: doc._id}};
+    if (operationType !== 'delete') {
+        change.fullDocument = ld.cloneDeep(doc);
+    }
+
+    this.events.emit('change', change);
+};
+
+MemoryScopeStore.prototype.findScope = function (scopeId, now) {
+    var doc = this.scopes.get(scopeId);
+    return Promise.resolve(doc && isLive(doc, now) ? ld.cloneDeep(doc) : undefined);
+};
+
+MemoryScopeStore.prototype.findScopes = function (scopeIds, now) {
+
+    var scopes = this.scopes;
+    var docs = [];
+
+    ld.uniq(scopeIds).forEach(function (scopeId) {
+        var doc = scopes.get(scopeId);
+        if (doc && isLive(doc, now)) {
+            docs.push(ld.cloneDeep(doc));
+        }
+    });
+
+    return Promise.resolve(docs);
+};
+
+MemoryScopeStore.prototype.findAllScopes = function () {
+    return Promise.resolve(Array.from(this.scopes.values()).map(function (doc) {
+        return ld.cloneDeep(doc);
+    }));
+};
+
+MemoryScopeStore.prototype.updateScope = function (scopeId, update, options) {
+
+    options = options || {};
+
+    var doc = this.scopes.get(scopeId);
+
+    if (doc && options.liveAt && !isLive(doc, options.liveAt)) {
+        doc = undefined;
+    }
+
+    if (doc && options.condition && !matchesCondition(doc, options.condition)) {
+        doc = undefined;
+    }
+
+    if (!doc && !options.upsert) {
+        return Promise.resolve(null);
+    }
+
+    var inserting = !doc;
+    var updated;
+
+    try {
+        updated = applyUpdate(doc || {_id: uuid.v4(), _scopeId: scopeId}, update, inserting);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    this.scopes.set(scopeId, updated);
+    this.emitChange(inserting ? 'insert' : 'update', updated);
+
+    return Promise.resolve(ld.cloneDeep(updated));
+};
+
+MemoryScopeStore.prototype.insertScope = function (scopeId, update, now) {
+
+    var existing = this.scopes.get(scopeId);
+
+    if (existing && (!now || isLive(existing, now))) {
+        return Promise.resolve(null);
+    }
+
+    var inserted = applyUpdate({_id: uuid.v4(), _scopeId: scopeId}, {
+        $set: update.$set,
+        $setOnInsert: update.$setOnInsert
+    }, true);
+
+    this.scopes.set(scopeId, inserted);
+    this.emitChange('insert', inserted);
+
+    return Promise.resolve(ld.cloneDeep(inserted));
+};
+
+MemoryScopeStore.prototype.removeExpiredScope = function (scopeId, now) {
+
+    var doc = this.scopes.get(scopeId);
+
+    if (doc && isExpired(doc, now)) {
+        this.scopes.delete(scopeId);
+        this.emitChange('delete', doc);
+    }
+
+    return Promise.resolve();
+};
+
+MemoryScopeStore.prototype.removeScope = function (scopeId) {
+
+    var doc = this.scopes.get(scopeId);
+
+    if (doc) {
+        this.scopes.delete(scopeId);
+        this.emitChange('delete', doc);
+    }
+
+    return Promise.resolve();
+};
+
+MemoryScopeStore.prototype.watch = function (scopeId) {
+
+    var events = this.events;
+    var watcher = new EventEmitter();
+
+    //As with the Mongo change stream, deletes only have the _id of the scope so
+    //they are all passed on.
+    function onChange(change) {
+        if (!scopeId || !change.fullDocument || change.fullDocument._scopeId === scopeId) {
+            watcher.emit('change', change);
+        }
+    }
+
+    events.on('change', onChange);
+
+    watcher.close = function () {
+        events.removeListener('change', onChange);
+    };
+
+    return watcher;
+};
+
+function memoryBackend(accountName, realmName, cb) {
+    cb(null, new MemoryScopeStore(accountName, realmName));
+}
+
+
+// -------------------------
+// BACKENDS
+// -------------------------
+
+var backends = {
+    mongo: mongoBackend,
+    memory: memoryBackend
+};
+
+/**
+ * Register a scope backend so that it can be used in config.scopes.backends.
+ *
+ * @param name
+ * @param backend function(accountName, realmName, cb) that calls back with a
+ *                store for the scopes of that account and realm.
+ */
+function registerBackend(name, backend) {
+
+    if (typeof backend !== 'function') {
+        throw new Error('scope backend ' + name + ' must be a function');
+    }
+
+    backends[name] = backend;
+}
+module.exports.registerBackend = registerBackend;
+
+/**
+ * @returns {Array} The names of the backends that config.scopes.backends uses.
+ */
+function getConfiguredBackendNames() {
+    return ld.uniq(ld.values(config.scopes.backends));
+}
+module.exports.getConfiguredBackendNames = getConfiguredBackendNames;
+
+/**
+ * Get the store for the scopes of an account and realm.  Stores that need it are
+ * prepared first.  A store that fails to prepare can still be used.
+ *
+ * @param backendName
+ * @param accountName
+ * @param realmName
+ * @param cb function(err, store)
+ */
+function getStore(backendName, accountName, realmName, cb) {
+
+    var backend = backends[backendName];
+
+    if (!backend) {
+        cb(new Error('unknown scope backend: ' + backendName));
+        return;
+    }
+
+    backend(accountName, realmName, function (err, store) {
+
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        if (typeof store.prepare !== 'function') {
+            cb(null, store);
+            return;
+        }
+
+        store.prepare(function (err) {
+
+            if (err) {
+                var logger = require('./loggers').getLogger();
+                logger.error('Failed to prepare scope store: ' + store.id, err);
+            }
+
+            cb(null, store);
+        });
+    });
+}
+module.exports.getStore = getStore;
@@ -15,8 +15,13 @@
  * Copyright 2009-2014 ICEsoft Technologies Canada, Corp. All Rights Reserved.
  */
 
-var db = require('./db');
+var scopeBackends = require('./scopeBackends');
 var tools = require('./tools');
+var config = require('./config');
+var ld = require('lodash');
+var LRUCache = require('./lruCache').LRUCache;
+var JSONSchemaValidator = require('jsonschema').Validator;
+var errors = require('./errors');
 
 var TRANSACTION_HEADER_KEY = 'com.icesoft.services.transaction.id';
 module.exports.TRANSACTION_HEADER_KEY = TRANSACTION_HEADER_KEY;
@@ -30,13 +35,10 @@ module.exports.PROCESS_HEADER_KEY = PROCESS_HEADER_KEY;
 // var ICESOFT_REQUEST_HEADER = "com.icesoft.services.request.id";
 
 
-//Any scopes that that require cleanup via Mongo's TTL policy should have the field
+//Any scopes that that require cleanup should have their last accessed field
 //declared as part of this array.  That way we can validate the fields before setting
-//them as part of the various operations.  This also requires a particular index be
-//created on the scopes collection, one for each scope.
-//
-//   db.myRealm.scopes.createIndex( { "_transactionLastModified": 1 }, { expireAfterSeconds: 60 } )
-//   db.myRealm.scopes.createIndex( { "_sessionLastModified": 1 }, { expireAfterSeconds: 3600 } )
+//them as part of the various operations.  Each of these fields has a default max
+//inactive interval (see config.scopes.maxInactiveIntervals).
 
 var TRANSACTION_LAST_ACCESSED = '_transactionLastModified';
 module.exports.TRANSACTION_LAST_ACCESSED = TRANSACTION_LAST_ACCESSED;
@@ -46,6 +48,622 @@ module.exports.SESSION_LAST_ACCESSED = SESSION_LAST_ACCESSED;
 
 var LAST_ACCESSED_FIELDS = [TRANSACTION_LAST_ACCESSED, SESSION_LAST_ACCESSED];
 
+//Scopes that don't declare one of the fields above track their last accessed
+//time in this field instead.
+var SCOPE_LAST_ACCESSED = '_scopeLastAccessed';
+module.exports.SCOPE_LAST_ACCESSED = SCOPE_LAST_ACCESSED;
+
+//Lifetime information kept with each scope.  The expiry time is when the scope
+//becomes invalid if it isn't accessed again.  Backends remove expired scopes
+//(e.g. with a TTL index in Mongo), but since that only happens periodically,
+//expired scopes are also ignored when read.
+var SCOPE_CREATED = '_scopeCreated';
+var SCOPE_MAX_INACTIVE_INTERVAL = '_scopeMaxInactiveInterval';
+var SCOPE_EXPIRES = scopeBackends.SCOPE_EXPIRES;
+
+//The type of scope (e.g. 'user'), if known, so we know which limits apply.
+var SCOPE_TYPE = '_scopeType';
+
+//Fields used to manage the scope that are never returned as attributes.
+var META_FIELDS = [
+    '_id',
+    '_scopeId',
+    TRANSACTION_LAST_ACCESSED,
+    SESSION_LAST_ACCESSED,
+    SCOPE_LAST_ACCESSED,
+    SCOPE_CREATED,
+    SCOPE_MAX_INACTIVE_INTERVAL,
+    SCOPE_EXPIRES,
+    SCOPE_TYPE
+];
+
+//Custom scope types can declare their own last accessed fields so the fields in
+//use depend on which types are currently registered.
+function getLastAccessedFields() {
+    return ld.union(LAST_ACCESSED_FIELDS, ld.compact(ld.map(customScopeTypes, 'accessedField')));
+}
+
+function getMetaFields() {
+    return ld.union(META_FIELDS, getLastAccessedFields());
+}
+
+function getValue(doc, key) {
+
+    if (key.indexOf('.') == -1) {
+        return doc[key] ? doc[key] : undefined;
+    }
+
+    var val = key.split('.').reduce(function (obj, i) {
+        if (obj && obj[i]) {
+            return obj[i];
+        }
+    }, doc);
+    return val ? val : undefined;
+}
+
+
+//For environment scope, the account and realm are always the same.  For account
+//scope, the collection for all realms is admin.scopes.
+function getScopeLocation(accountName, realmName, scopeId) {
+
+    if (scopeId === '_environment_') {
+        return {accountName: 'voyent', realmName: 'platform.services'};
+    }
+
+    if (scopeId === '_account_') {
+        return {accountName: accountName, realmName: 'admin'};
+    }
+
+    return {accountName: accountName, realmName: realmName};
+}
+
+
+//Which backend a scope is kept in (see config.scopes.backends).  A custom scope
+//type can have its own, otherwise it's the one for the type of scope.  Scopes
+//whose type isn't known use the default.
+function getScopeBackendName(scopeTypeName, customScopeType) {
+
+    var backends = config.scopes.backends;
+
+    return (customScopeType && backends[customScopeType.name]) ||
+        (scopeTypeName && backends[scopeTypeName]) ||
+        backends.default;
+}
+
+//So that services can add their own backends (see lib/scopeBackends.js).
+module.exports.registerScopeBackend = scopeBackends.registerBackend;
+
+function getScopeStore(backendName, accountName, realmName) {
+
+    return new Promise(function (resolve, reject) {
+
+        scopeBackends.getStore(backendName, accountName, realmName, function (err, store) {
+
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            resolve(store);
+        });
+    });
+}
+
+//All the scopes of the account and realm, from every backend that's in use.
+function findAllScopes(accountName, realmName) {
+
+    return Promise.all(scopeBackends.getConfiguredBackendNames().map(function (backendName) {
+        return getScopeStore(backendName, accountName, realmName)
+            .then(function (store) {
+                return store.findAllScopes();
+            });
+    }))
+        .then(function (results) {
+            return ld.flatten(results);
+        });
+}
+
+
+// -------------------------
+// SCOPE LIMITS
+// -------------------------
+
+/**
+ * Used when a write would take a scope over one of its limits (see
+ * config.scopes.limits).
+ *
+ * @param message Which limit was exceeded
+ * @param details {scopeId, key, limit, size}
+ * @constructor
+ */
+function ScopeLimitError(message, details) {
+    this.status = 413;
+    this.message = message;
+    this.details = details;
+}
+ScopeLimitError.prototype = Object.create(Error.prototype);
+ScopeLimitError.prototype.name = 'ScopeLimitError';
+module.exports.ScopeLimitError = ScopeLimitError;
+
+function getScopeTypeName(scopeId, accessedField) {
+
+    if (scopeId === '_environment_') {
+        return 'environment';
+    }
+
+    if (scopeId === '_account_') {
+        return 'account';
+    }
+
+    if (typeof scopeId === 'string' && scopeId.indexOf('_realm_') === 0) {
+        return 'realm';
+    }
+
+    if (accessedField === TRANSACTION_LAST_ACCESSED) {
+        return 'transaction';
+    }
+}
+
+//Limits from a custom scope type win over those configured for the type name.
+function getScopeLimits(scopeTypeName, customScopeType) {
+    return ld.assign({},
+        config.scopes.limits.default,
+        scopeTypeName && config.scopes.limits[scopeTypeName],
+        customScopeType && customScopeType.limits);
+}
+
+//How much room a value takes up, as JSON.  This is close enough to the BSON size
+//Mongo uses for the purpose of limits.
+function getSize(value) {
+    if (value === undefined) {
+        return 0;
+    }
+    return Buffer.byteLength(JSON.stringify(value), 'utf8');
+}
+
+/**
+ * Checks the attributes of a scope against the limits.
+ *
+ * @param scopeId
+ * @param attributes The attributes of the scope
+ * @param keys The keys being written.  Only their values are checked for size.
+ * @param limits
+ * @returns A ScopeLimitError if a limit is exceeded
+ */
+function checkScopeLimits(scopeId, attributes, keys, limits) {
+
+    var attributeCount = Object.keys(attributes).length;
+    if (limits.maxAttributes && attributeCount > limits.maxAttributes) {
+        return new ScopeLimitError('scopeAttributeLimitExceeded', {
+            scopeId: scopeId,
+            limit: limits.maxAttributes,
+            size: attributeCount
+        });
+    }
+
+    var tooLarge;
+    if (limits.maxValueSize) {
+        keys.forEach(function (key) {
+            var topLevelKey = key.split('.')[0];
+            var valueSize = getSize(attributes[topLevelKey]);
+            if (!tooLarge && valueSize > limits.maxValueSize) {
+                tooLarge = new ScopeLimitError('scopeValueSizeLimitExceeded', {
+                    scopeId: scopeId,
+                    key: topLevelKey,
+                    limit: limits.maxValueSize,
+                    size: valueSize
+                });
+            }
+        });
+    }
+    if (tooLarge) {
+        return tooLarge;
+    }
+
+    var documentSize = getSize(attributes);
+    if (limits.maxDocumentSize && documentSize > limits.maxDocumentSize) {
+        return new ScopeLimitError('scopeDocumentSizeLimitExceeded', {
+            scopeId: scopeId,
+            limit: limits.maxDocumentSize,
+            size: documentSize
+        });
+    }
+}
+
+/**
+ * Report how close each scope in a realm is to its limits, the closest first.
+ * Account scopes are in the 'admin' realm.
+ *
+ * @param accountName
+ * @param realmName
+ * @param options Optional {limit}: how many scopes to report on. Defaults to 20.
+ * @returns {Promise} Resolves to an array of {scopeId, scopeType, attributes,
+ *                    documentSize, largestValue: {key, size}, limits, usage} where
+ *                    usage is the highest fraction of any limit used.
+ */
+function getScopeUsage(accountName, realmName, options) {
+
+    var limit = (options && options.limit) || 20;
+
+    return findAllScopes(accountName, realmName)
+        .then(function (docs) {
+
+            var usages = docs.map(function (doc) {
+
+                var customScopeType = getCustomScopeType(doc._scopeId);
+                var accessedField = getLastAccessedFields().find(function (field) {
+                    return doc[field] !== undefined;
+                });
+                var scopeTypeName = doc[SCOPE_TYPE] || getScopeTypeName(doc._scopeId, accessedField);
+                var limits = getScopeLimits(scopeTypeName, customScopeType);
+
+                var attributes = ld.omit(doc, getMetaFields());
+                var largestValue = {size: 0};
+                Object.keys(attributes).forEach(function (key) {
+                    var valueSize = getSize(attributes[key]);
+                    if (valueSize > largestValue.size) {
+                        largestValue = {key: key, size: valueSize};
+                    }
+                });
+
+                var usage = {
+                    scopeId: doc._scopeId,
+                    scopeType: scopeTypeName || (customScopeType && customScopeType.name),
+                    attributes: Object.keys(attributes).length,
+                    documentSize: getSize(attributes),
+                    largestValue: largestValue,
+                    limits: limits
+                };
+
+                usage.usage = Math.max(
+                    limits.maxAttributes ? usage.attributes / limits.maxAttributes : 0,
+                    limits.maxValueSize ? largestValue.size / limits.maxValueSize : 0,
+                    limits.maxDocumentSize ? usage.documentSize / limits.maxDocumentSize : 0);
+
+                return usage;
+            });
+
+            return ld.orderBy(usages, ['usage'], ['desc']).slice(0, limit);
+        });
+}
+module.exports.getScopeUsage = getScopeUsage;
+
+
+// -------------------------
+// SCOPE CACHE
+// -------------------------
+
+//When enabled, environment, account and realm scopes are cached after they are
+//read.  Writes made through the scope API remove the scope from the cache.  To
+//see writes made by other service instances, we watch the store of each cached
+//scope (with a change stream for Mongo).  Change streams need a replica set so
+//without one, cached scopes are only refreshed once their ttl runs out.
+//Services can also call invalidateCachedScope themselves, e.g. when they get an
+//event saying that a scope has changed.
+var scopeCache;
+
+//Change events only include the _id of the scope document, so we keep track of
+//which cached scope each _id belongs to.
+var scopeCacheKeysByDocId = {};
+
+//Bumped whenever something is removed from the cache.  A read that started
+//before that doesn't cache what it read since it may already be stale.
+var scopeCacheVersion = 0;
+
+var watchedStores = {};
+
+function getScopeCache() {
+    if (!scopeCache) {
+        scopeCache = new LRUCache(config.scopes.cache.maxEntries, function (key, cached) {
+            if (cached.doc) {
+                delete scopeCacheKeysByDocId[String(cached.doc._id)];
+            }
+        });
+    }
+    return scopeCache;
+}
+
+function getCachedScopeType(scopeId) {
+
+    if (!config.scopes.cache.enabled) {
+        return;
+    }
+
+    if (scopeId === '_environment_') {
+        return 'environment';
+    }
+
+    if (scopeId === '_account_') {
+        return 'account';
+    }
+
+    if (typeof scopeId === 'string' && scopeId.indexOf('_realm_') === 0) {
+        return 'realm';
+    }
+}
+
+function getScopeCacheKey(accountName, realmName, scopeId) {
+    return [accountName, realmName, scopeId].join('/');
+}
+
+function cacheScope(cacheKey, cacheType, doc) {
+
+    var cached = {doc: doc ? ld.cloneDeep(doc) : null};
+
+    if (doc) {
+        scopeCacheKeysByDocId[String(doc._id)] = cacheKey;
+    }
+
+    getScopeCache().set(cacheKey, cached, config.scopes.cache.ttls[cacheType]);
+}
+
+function uncacheScope(cacheKey) {
+
+    scopeCacheVersion++;
+
+    if (!scopeCache) {
+        return;
+    }
+
+    var cached = scopeCache.peek(cacheKey);
+    if (cached && cached.doc) {
+        delete scopeCacheKeysByDocId[String(cached.doc._id)];
+    }
+
+    scopeCache.delete(cacheKey);
+}
+
+/**
+ * Remove a scope from this instance's scope cache so that the next read gets it
+ * from the database.
+ *
+ * @param accountName
+ * @param realmName
+ * @param scopeId
+ */
+function invalidateCachedScope(accountName, realmName, scopeId) {
+    var location = getScopeLocation(accountName, realmName, scopeId);
+    uncacheScope(getScopeCacheKey(location.accountName, location.realmName, scopeId));
+}
+module.exports.invalidateCachedScope = invalidateCachedScope;
+
+/**
+ * Remove everything from this instance's scope cache.
+ */
+function clearScopeCache() {
+    scopeCacheVersion++;
+    scopeCacheKeysByDocId = {};
+    if (scopeCache) {
+        scopeCache.clear();
+    }
+}
+module.exports.clearScopeCache = clearScopeCache;
+
+/**
+ * @returns {Object} The size of the scope cache and how often it has been used.
+ */
+function getScopeCacheStats() {
+    return getScopeCache().getStats();
+}
+module.exports.getScopeCacheStats = getScopeCacheStats;
+
+//Removes the cached scopes of a single realm.
+function uncacheRealmScopes(accountName, realmName) {
+
+    scopeCacheVersion++;
+
+    if (!scopeCache) {
+        return;
+    }
+
+    var prefix = getScopeCacheKey(accountName, realmName, '');
+    scopeCache.keys().forEach(function (cacheKey) {
+        if (cacheKey.indexOf(prefix) === 0) {
+            uncacheScope(cacheKey);
+        }
+    });
+}
+
+//Change streams are only supported on replica sets (and sharded clusters).
+function isReplicaSetRequired(err) {
+    return err.code === 40573 || /replica set/i.test(err.message || '');
+}
+
+function watchForCachedScopeChanges(store, accountName, realmName) {
+
+    if (watchedStores[store.id] || typeof store.watch !== 'function') {
+        return;
+    }
+
+    var changeStream = store.watch();
+    if (!changeStream) {
+        return;
+    }
+    watchedStores[store.id] = true;
+
+    var logger = require('./loggers').getLogger();
+
+    //Changes may have been missed while nothing was watching so the realm's
+    //cached scopes are dropped and the next read that caches one watches again.
+    function stopWatching() {
+        changeStream.close();
+        delete watchedStores[store.id];
+        uncacheRealmScopes(accountName, realmName);
+    }
+
+    changeStream.on('change', function (change) {
+
+        if (change.operationType === 'invalidate') {
+            stopWatching();
+            return;
+        }
+
+        if (change.operationType === 'drop') {
+            uncacheRealmScopes(accountName, realmName);
+            return;
+        }
+
+        var cacheKey = change.documentKey && scopeCacheKeysByDocId[String(change.documentKey._id)];
+        if (cacheKey) {
+            uncacheScope(cacheKey);
+        }
+
+        //A new scope may replace one that we've cached as not existing.
+        if (change.fullDocument && change.fullDocument._scopeId) {
+            uncacheScope(getScopeCacheKey(accountName, realmName, change.fullDocument._scopeId));
+        }
+    });
+
+    changeStream.on('error', function (err) {
+
+        //Without a replica set, watching would just fail again so we don't try.
+        //From now on, other instances' changes are only seen once the cached
+        //scopes expire.
+        if (isReplicaSetRequired(err)) {
+            logger.debug('cannot watch for scope changes', store.id, err.message);
+            changeStream.close();
+            uncacheRealmScopes(accountName, realmName);
+            return;
+        }
+
+        logger.debug('stopped watching for scope changes', store.id, err.message);
+        stopWatching();
+    });
+}
+
+// -------------------------
+// CUSTOM SCOPE TYPES
+// -------------------------
+
+//Services can declare their own types of scope.  Each type has a prefix that
+//the ids of its scopes start with and a JSON Schema that its attributes must
+//match.  Types can also be registered for the standard scopes (e.g. with the
+//prefix '_realm_' or '_environment_') to control what gets stored in them.
+var customScopeTypes = {};
+
+/**
+ * Register a custom scope type.  Any scope whose id starts with the type's prefix
+ * is then a scope of that type.  If more than one prefix matches, the longest
+ * one wins.
+ *
+ * @param name The name of the scope type
+ * @param definition
+ * @param definition.idPrefix The prefix of the ids of scopes of this type
+ * @param definition.accessedField Optional field for tracking when the scope was last
+ *                                 accessed.  Scopes with one are updated on every read
+ *                                 and write (see TRANSACTION_LAST_ACCESSED).
+ * @param definition.maxInactiveInterval Optional default for how long (in seconds) a
+ *                                       scope of this type can go unaccessed before it
+ *                                       expires.  Needs an accessedField.
+ * @param definition.limits Optional limits for scopes of this type, as for
+ *                          config.scopes.limits.
+ * @param definition.schema Optional JSON Schema for the attributes of the scope.
+ *                          Attributes that are set are checked against it. Increments
+ *                          and removals from arrays aren't.
+ */
+function registerScopeType(name, definition) {
+
+    if (!definition || typeof definition.idPrefix !== 'string' || !definition.idPrefix) {
+        throw new Error('scope type ' + name + ' needs an idPrefix');
+    }
+
+    if (definition.maxInactiveInterval && !definition.accessedField) {
+        throw new Error('scope type ' + name + ' needs an accessedField for its maxInactiveInterval');
+    }
+
+    var scopeType = {
+        name: name,
+        idPrefix: definition.idPrefix,
+        accessedField: definition.accessedField,
+        maxInactiveInterval: definition.maxInactiveInterval,
+        limits: definition.limits,
+        schema: definition.schema
+    };
+
+    if (definition.schema) {
+        scopeType.validator = new JSONSchemaValidator();
+
+        //Writes only include some of the attributes so we can't insist on the
+        //required ones being there.
+        scopeType.writeSchema = ld.omit(definition.schema, 'required');
+    }
+
+    customScopeTypes[name] = scopeType;
+}
+module.exports.registerScopeType = registerScopeType;
+
+function unregisterScopeType(name) {
+    delete customScopeTypes[name];
+}
+module.exports.unregisterScopeType = unregisterScopeType;
+
+function getCustomScopeType(scopeId) {
+
+    if (typeof scopeId !== 'string') {
+        return;
+    }
+
+    var match;
+
+    Object.keys(customScopeTypes).forEach(function (name) {
+        var scopeType = customScopeTypes[name];
+        if (scopeId.indexOf(scopeType.idPrefix) === 0 &&
+            (!match || scopeType.idPrefix.length > match.idPrefix.length)) {
+            match = scopeType;
+        }
+    });
+
+    return match;
+}
+
+/**
+ * Checks attributes being written to a scope against the schema of its type. For
+ * a dotted key, the value is checked as part of the objects that contain it.
+ *
+ * @param scopeType
+ * @param attributes The attributes being written
+ * @returns An error if they aren't valid
+ */
+function validateScopeAttributes(scopeType, attributes) {
+
+    if (!scopeType || !scopeType.validator) {
+        return;
+    }
+
+    var toValidate = {};
+    Object.keys(attributes).forEach(function (key) {
+        ld.set(toValidate, key, attributes[key]);
+    });
+
+    var validationResult = scopeType.validator.validate(toValidate, scopeType.writeSchema);
+
+    if (validationResult.errors && validationResult.errors.length > 0) {
+        return new errors.BadRequestDetailsError('invalidScopeAttributes', validationResult.errors.map(function (err) {
+            return err.stack;
+        }));
+    }
+}
+
+/**
+ * Get a scope of a custom type for the account and realm in the barrel.
+ *
+ * @param barrel
+ * @param typeName The name the type was registered with
+ * @param id The id of the scope, without the prefix
+ * @returns {Promise}
+ */
+function getCustomScope(barrel, typeName, id) {
+
+    var scopeType = customScopeTypes[typeName];
+
+    if (!scopeType) {
+        return Promise.reject('unknown scope type: ' + typeName);
+    }
+
+    return getScope(barrel.accountId, barrel.realmId, scopeType.idPrefix + id, scopeType.accessedField);
+}
+module.exports.getCustomScope = getCustomScope;
+
 
 /**
  * Get a specific scope API as defined by the provided scopeIdentifier. The result is
@@ -62,25 +680,19 @@ var LAST_ACCESSED_FIELDS = [TRANSACTION_LAST_ACCESSED, SESSION_LAST_ACCESSED];
  * @param accessedField   Optional parameter that describes the name of the field to store and index
  *                        the time that a scope was last accessed. This is useful for helping to
  *                        determine when time-sensitive scopes should be cleaned up.
+ * @param scopeTypeName   Optional type of scope (e.g. 'user') which decides the limits that apply
+ *                        to it and which backend it's kept in (see config.scopes.backends). Realm,
+ *                        account, environment and transaction scopes are recognized without it.
  *
  * @returns {Promise}
  */
-function getScope(accountName, realmName, scopeIdentifier, accessedField) {
+function getScope(accountName, realmName, scopeIdentifier, accessedField, scopeTypeName) {
 
     return new Promise(function (resolve, reject) {
 
-        //For environment scope, the account and realm are always the same. We
-        //set it here so it's done in one place.
-        if(scopeIdentifier === '_environment_'){
-            accountName = 'voyent';
-            realmName = 'platform.services';
-        }
-
-        //For account scope, the collection for all realms will be admin.scopes
-        //so we set here.
-        if(scopeIdentifier === '_account_'){
-            realmName = 'admin';
-        }
+        var location = getScopeLocation(accountName, realmName, scopeIdentifier);
+        accountName = location.accountName;
+        realmName = location.realmName;
 
         //Must have a valid account
         if (!accountName) {
@@ -101,19 +713,263 @@ function getScope(accountName, realmName, scopeIdentifier, accessedField) {
 
         //The lastModifiedField is optional - only necessary if the scope is time-sensitive
         //in some way.
-        var lastAccessedField = accessedField;
+        //Custom scope types can declare it themselves.
+        var scopeType = getCustomScopeType(scopeId);
+        var lastAccessedField = accessedField || (scopeType && scopeType.accessedField);
 
-        if (lastAccessedField && LAST_ACCESSED_FIELDS.indexOf(lastAccessedField) < 0) {
+        if (lastAccessedField && getLastAccessedFields().indexOf(lastAccessedField) < 0) {
             reject('unknown lastAccessedField: ' + lastAccessedField);
         }
 
-        db.getCollection(accountName, realmName, 'scopes', function (err, scopesCollection) {
+        //Time-sensitive scopes have their last accessed time updated on every read
+        //and write.  Others only on writes, unless they have been given a max
+        //inactive interval.
+        var accessField = lastAccessedField || SCOPE_LAST_ACCESSED;
+        var defaultInterval;
+
+        if (scopeType && scopeType.maxInactiveInterval && lastAccessedField === scopeType.accessedField) {
+            defaultInterval = scopeType.maxInactiveInterval;
+        } else if (lastAccessedField) {
+            defaultInterval = config.scopes.maxInactiveIntervals[lastAccessedField];
+        }
+
+        var typeName = scopeTypeName || getScopeTypeName(scopeId, lastAccessedField);
+        var limits = getScopeLimits(typeName, scopeType);
+
+        //Time-sensitive scopes are never cached since every read updates them.
+        var cacheType = lastAccessedField ? undefined : getCachedScopeType(scopeId);
+        var cacheKey = getScopeCacheKey(accountName, realmName, scopeId);
+
+        var backendName = getScopeBackendName(typeName, scopeType);
+
+        scopeBackends.getStore(backendName, accountName, realmName, function (err, store) {
+
+            var logger = require('./loggers').getLogger();
 
             if (err) {
-                var logger = require('./loggers').getLogger();
-                logger.error('Failed to get scopes collection: ' + accountName + ', realm: ' + realmName +
-                ', scopes', err);
+                logger.error('Failed to get scope store: ' + accountName + ', realm: ' + realmName +
+                ', backend: ' + backendName, err);
                 reject(err);
+                return;
+            }
+
+            //The interval for the scope, in seconds.  An interval set on the scope
+            //itself overrides the default.
+            function getInterval(doc) {
+                if (doc && doc[SCOPE_MAX_INACTIVE_INTERVAL] !== undefined) {
+                    return doc[SCOPE_MAX_INACTIVE_INTERVAL];
+                }
+                return defaultInterval;
+            }
+
+            //The fields to set whenever the scope is accessed.  If the scope has
+            //its own interval, the expiry set here is corrected once we've seen
+            //the scope (see applyInterval).
+            function getAccessedFields(now) {
+
+                var accessed = {};
+                accessed[accessField] = now;
+
+                if (defaultInterval > 0) {
+                    accessed[SCOPE_EXPIRES] = new Date(now.getTime() + defaultInterval * 1000);
+                }
+
+                return accessed;
+            }
+
+            function applyInterval(doc, now) {
+
+                if (!doc || doc[SCOPE_MAX_INACTIVE_INTERVAL] === undefined) {
+                    return Promise.resolve(doc);
+                }
+
+                var interval = doc[SCOPE_MAX_INACTIVE_INTERVAL];
+                var update;
+
+                if (interval > 0) {
+                    var expires = {};
+                    expires[SCOPE_EXPIRES] = new Date(now.getTime() + interval * 1000);
+                    update = {$set: expires};
+                } else {
+                    var noExpiry = {};
+                    noExpiry[SCOPE_EXPIRES] = '';
+                    update = {$unset: noExpiry};
+                }
+
+                return store
+                    .updateScope(scopeId, update)
+                    .then(function () {
+                        return doc;
+                    });
+            }
+
+            //All writes go through here.  A scope that has expired but hasn't been
+            //removed by the backend yet is replaced by a new scope rather than
+            //revived by the write.
+            function writeScope(update, upsert) {
+
+                var now = new Date();
+
+                addWriteFields(update, now);
+
+                return store
+                    .updateScope(scopeId, update, {upsert: upsert, liveAt: now})
+                    .then(function (doc) {
+                        uncacheScope(cacheKey);
+                        return applyInterval(doc, now);
+                    });
+            }
+
+            //The fields that every write sets as well as its own.
+            function addWriteFields(update, now) {
+
+                update.$set = Object.assign(update.$set || {}, getAccessedFields(now));
+
+                if (typeName) {
+                    update.$set[SCOPE_TYPE] = typeName;
+                }
+
+                var created = {};
+                created[SCOPE_CREATED] = now;
+                update.$setOnInsert = created;
+            }
+
+            //Makes an update that only applies if the scope matches the condition.
+            //A scope that doesn't exist only matches if the condition is that the
+            //attributes aren't set, in which case the scope is created.  Nothing
+            //is created when the condition doesn't match.  Resolves to the updated
+            //scope or null if the condition didn't match.
+            function writeScopeIf(condition, update) {
+
+                var now = new Date();
+
+                addWriteFields(update, now);
+
+                var matchesMissingScope = ld.every(condition, function (expected) {
+                    return ld.isEqual(expected, {$exists: false});
+                });
+
+                function updateIf() {
+                    return store.updateScope(scopeId, update, {condition: condition, liveAt: now});
+                }
+
+                return updateIf()
+                    .then(function (doc) {
+
+                        if (doc || !matchesMissingScope) {
+                            return doc;
+                        }
+
+                        //Either there's no scope yet or the attribute is set. If
+                        //someone else creates the scope first, try the update on it.
+                        return store.insertScope(scopeId, update, now).then(function (inserted) {
+                            return inserted || updateIf();
+                        });
+                    })
+                    .then(function (doc) {
+                        uncacheScope(cacheKey);
+                        return doc && applyInterval(doc, now);
+                    });
+            }
+
+            //All reads go through here.  Expired scopes are treated as if they
+            //don't exist.
+            function readScope() {
+
+                var now = new Date();
+
+                if (lastAccessedField) {
+                    return store
+                        .updateScope(scopeId, {$set: getAccessedFields(now)}, {liveAt: now})
+                        .then(function (doc) {
+                            return applyInterval(doc, now);
+                        });
+                }
+
+                if (cacheType) {
+                    var cached = getScopeCache().get(cacheKey);
+                    if (cached) {
+                        return Promise.resolve(cached.doc ? ld.cloneDeep(cached.doc) : undefined);
+                    }
+                }
+
+                var version = scopeCacheVersion;
+
+                return store
+                    .findScope(scopeId, now)
+                    .then(function (doc) {
+
+                        //Scopes with their own interval expire when they aren't
+                        //used so reading them counts as access.
+                        if (!doc || doc[SCOPE_MAX_INACTIVE_INTERVAL] === undefined) {
+                            if (cacheType && version === scopeCacheVersion) {
+                                cacheScope(cacheKey, cacheType, doc);
+                                watchForCachedScopeChanges(store, accountName, realmName);
+                            }
+                            return doc;
+                        }
+
+                        var accessed = {};
+                        accessed[accessField] = now;
+
+                        return store
+                            .updateScope(scopeId, {$set: accessed})
+                            .then(function () {
+                                return applyInterval(doc, now);
+                            });
+                    });
+            }
+
+            //Reads the lifetime information without counting as an access.
+            function readLifetime() {
+                return store.findScope(scopeId, new Date());
+            }
+
+            function stripMetaFields(doc) {
+                return ld.omit(doc, getMetaFields());
+            }
+
+            //Checks that a write won't take the scope over its limits.  The write
+            //is applied to a copy of the current attributes by the update function.
+            //This is done before the write so there is a small window where two
+            //concurrent writes could together exceed a limit.
+            //Values that are simply being set can be checked against the value
+            //size limit on their own so the current attributes are only read when
+            //they are needed.
+            function checkLimits(keys, update, values) {
+
+                if (!limits.maxAttributes && !limits.maxValueSize && !limits.maxDocumentSize) {
+                    return Promise.resolve();
+                }
+
+                var wholeValues = values && keys.every(function (key) {
+                    return key.indexOf('.') < 0;
+                });
+
+                if (wholeValues && !limits.maxAttributes && !limits.maxDocumentSize) {
+                    var exceeded = checkScopeLimits(scopeId, values, keys, limits);
+                    return exceeded ? Promise.reject(exceeded) : Promise.resolve();
+                }
+
+                return readLifetime()
+                    .then(function (doc) {
+
+                        var attributes = doc ? stripMetaFields(doc) : {};
+                        update(attributes);
+
+                        var exceeded = checkScopeLimits(scopeId, attributes, keys, limits);
+                        if (exceeded) {
+                            throw exceeded;
+                        }
+                    });
+            }
+
+            function setValues(values) {
+                return function (attributes) {
+                    Object.keys(values).forEach(function (key) {
+                        ld.set(attributes, key, values[key]);
+                    });
+                };
             }
 
             //This object contains the general API for any scope.  The collection is always
@@ -121,31 +977,104 @@ function getScope(accountName, realmName, scopeIdentifier, accessedField) {
             //database _id and that's provided when you initially get the scope.
             var scopeAPI = {
 
-                setAttribute: function (key, value) {
+                setAttribute: function (key, value) {
+
+                    return new Promise(function (resolve, reject) {
+
+                        var updateAttribute = {};
+                        updateAttribute[key] = value;
+
+                        var invalid = validateScopeAttributes(scopeType, updateAttribute);
+                        if (invalid) {
+                            reject(invalid);
+                            return;
+                        }
+
+                        checkLimits([key], setValues(updateAttribute), updateAttribute)
+                            .then(
+                                function () {
+                                    return writeScope({$set: updateAttribute}, true);
+                                }
+                            )
+                            .then(
+                                function () {
+                                    var setResult = {};
+                                    setResult[key] = value;
+                                    resolve(setResult);
+                                }
+                            )
+                            .catch(
+                                function (err) {
+                                    reject(err);
+                                }
+                            );
+                    });
+
+                },
+
+                setAttributes: function (obj) {
+
+                    return new Promise(function (resolve, reject) {
+
+                        var invalid = validateScopeAttributes(scopeType, obj);
+                        if (invalid) {
+                            reject(invalid);
+                            return;
+                        }
+
+                        checkLimits(Object.keys(obj), setValues(obj), obj)
+                            .then(
+                                function () {
+                                    return writeScope({$set: Object.assign({}, obj)}, true);
+                                }
+                            )
+                            .then(
+                                function () {
+                                    resolve(obj);
+                                }
+                            )
+                            .catch(
+                                function (err) {
+                                    reject(err);
+                                }
+                            );
+                    });
+
+                },
+
+                getAttribute: function (key) {
+
+                    return new Promise(function (resolve, reject) {
+
+                        readScope()
+                            .then(
+                                function (doc) {
+                                    if (doc) {
+                                        resolve(getValue(doc, key));
+                                    } else {
+                                        resolve();
+                                    }
+                                }
+                            )
+                            .catch(
+                                function (err) {
+                                    reject(err);
+                                }
+                            );
+                    });
+                },
+
+                getAttributes: function () {
 
                     return new Promise(function (resolve, reject) {
 
-                        var updateAttribute = {};
-                        updateAttribute[key] = value;
-
-                        if (lastAccessedField) {
-                            updateAttribute[lastAccessedField] = new Date();
-                        }
-
-                        scopesCollection
-                            .updateOne(
-                                {_scopeId: scopeId},
-                                {$set: updateAttribute},
-                                {upsert: true})
+                        readScope()
                             .then(
-                                function (result) {
-
-                                    if (result.result && result.result.ok === 1) {
-                                        var setResult = {};
-                                        setResult[key] = value;
-                                        resolve(setResult);
+                                function (doc) {
+                                    if (doc) {
+                                        resolve(stripMetaFields(doc));
                                     } else {
-                                        reject(result.result);
+                                        resolve();
                                     }
                                 }
                             )
@@ -155,31 +1084,19 @@ function getScope(accountName, realmName, scopeIdentifier, accessedField) {
                                 }
                             );
                     });
-
                 },
 
-                setAttributes: function (obj) {
+                removeAttribute: function (key) {
 
                     return new Promise(function (resolve, reject) {
 
-                        var updateAttribute = obj;
-
-                        if (lastAccessedField) {
-                            updateAttribute[lastAccessedField] = new Date();
-                        }
+                        var removeAttribute = {};
+                        removeAttribute[key] = "";
 
-                        scopesCollection
-                            .updateOne(
-                                {_scopeId: scopeId},
-                                {$set: updateAttribute},
-                                {upsert: true})
+                        writeScope({$unset: removeAttribute}, false)
                             .then(
-                                function (result) {
-                                    if (result.result && result.result.ok === 1) {
-                                        resolve(obj);
-                                    } else {
-                                        reject(result.result);
-                                    }
+                                function () {
+                                    resolve(key);
                                 }
                             )
                             .catch(
@@ -188,72 +1105,38 @@ function getScope(accountName, realmName, scopeIdentifier, accessedField) {
                                 }
                             );
                     });
-
                 },
 
-                getAttribute: function (key) {
+                //The following operations are atomic, even across service instances,
+                //since each is done with a single update in the backend.
 
-                    //If the lastModifiedField parameter is set to a known/legal value, we return
-                    //a Promise that also updates the lastModifiedField.  If not, we return a
-                    //a Promise that just returns the value.
-
-                    if (lastAccessedField) {
-
-                        return new Promise(function (resolve, reject) {
-
-                            var lastModified = {};
-                            lastModified[lastAccessedField] = new Date();
-
-                            scopesCollection
-                                .findOneAndUpdate({_scopeId: scopeId}, {$set: lastModified})
-                                .then(
-                                    function (result) {
-                                        if (result.value) {
-                                            if (key.indexOf('.') == -1) {
-                                                result.value[key] ? resolve(result.value[key]) : resolve();
-                                            }
-                                            else {
-                                                var val = key.split('.').reduce(function(obj,i) {
-                                                    if (obj && obj[i]) { return obj[i]; }
-                                                },result.value);
-                                                val ? resolve(val) : resolve();
-                                            }
-                                        }
-                                        else {
-                                            resolve();
-                                        }
-                                    }
-                                )
-                                .catch(
-                                    function (err) {
-                                        reject(err);
-                                    }
-                                );
-                        });
-                    }
+                /**
+                 * Add to a numeric attribute.  A missing attribute counts as 0.
+                 *
+                 * @param key
+                 * @param amount Defaults to 1. Use a negative number to decrement.
+                 * @returns {Promise} Resolves to the new value
+                 */
+                incrementAttribute: function (key, amount) {
 
                     return new Promise(function (resolve, reject) {
 
-                        scopesCollection
-                            .find({_scopeId: scopeId})
-                            .limit(1)
-                            .toArray()
+                        var increment = {};
+                        increment[key] = amount === undefined ? 1 : amount;
+
+                        var incremented = function (attributes) {
+                            ld.set(attributes, key, (ld.get(attributes, key) || 0) + increment[key]);
+                        };
+
+                        checkLimits([key], incremented)
                             .then(
-                                function (result) {
-                                    if (result[0]) {
-                                        if (key.indexOf('.') == -1) {
-                                            result[0][key] ? resolve(result[0][key]) : resolve();
-                                        }
-                                        else {
-                                            var val = key.split('.').reduce(function(obj,i) {
-                                                if (obj && obj[i]) { return obj[i]; }
-                                            },result[0]);
-                                            val ? resolve(val) : resolve();
-                                        }
-                                    }
-                                    else {
-                                        resolve();
-                                    }
+                                function () {
+                                    return writeScope({$inc: increment}, true);
+                                }
+                            )
+                            .then(
+                                function (doc) {
+                                    resolve(ld.get(doc, key));
                                 }
                             )
                             .catch(
@@ -264,60 +1147,109 @@ function getScope(accountName, realmName, scopeIdentifier, accessedField) {
                     });
                 },
 
-                getAttributes: function () {
+                /**
+                 * Set an attribute only if its current value is the expected one. An
+                 * expected value of undefined means the attribute must not be set.
+                 * The value has to be equal as a whole: an array attribute never
+                 * matches a value that isn't an array, even one it holds.  Objects
+                 * are compared as Mongo does, so the order of their properties
+                 * matters (except with the memory backend).  A scope that doesn't
+                 * exist is only created when the expected value is undefined.
+                 *
+                 * @param key
+                 * @param expected
+                 * @param value
+                 * @returns {Promise} Resolves to true if the value was set
+                 */
+                compareAndSetAttribute: function (key, expected, value) {
 
-                    //If the lastModifiedField parameter is set to a known/legal value, we return
-                    //a Promise that also updates the lastModifiedField.  If not, we return a
-                    //a Promise that just returns the value.
+                    return new Promise(function (resolve, reject) {
 
-                    //We only want to return the scoped values so turn off the others.
-                    var projection = {_id: 0, _scopeId: 0};
+                        var condition = {};
+                        condition[key] = expected === undefined ? {$exists: false} : {$eq: expected};
 
-                    //TODO: Block any meta fields related to tracking last modified time.
-                    projection[TRANSACTION_LAST_ACCESSED] = 0;
-                    projection[SESSION_LAST_ACCESSED] = 0;
+                        var updateAttribute = {};
+                        updateAttribute[key] = value;
 
-                    if (lastAccessedField) {
+                        var invalid = validateScopeAttributes(scopeType, updateAttribute);
+                        if (invalid) {
+                            reject(invalid);
+                            return;
+                        }
 
-                        return new Promise(function (resolve, reject) {
+                        checkLimits([key], setValues(updateAttribute), updateAttribute)
+                            .then(
+                                function () {
+                                    return writeScopeIf(condition, {$set: updateAttribute});
+                                }
+                            )
+                            .then(
+                                function (doc) {
+                                    resolve(!!doc);
+                                }
+                            )
+                            .catch(
+                                function (err) {
+                                    reject(err);
+                                }
+                            );
+                    });
+                },
 
-                            var lastModified = {};
-                            lastModified[lastAccessedField] = new Date();
+                /**
+                 * Set an attribute only if it isn't already set.
+                 *
+                 * @param key
+                 * @param value
+                 * @returns {Promise} Resolves to true if the value was set
+                 */
+                setAttributeIfAbsent: function (key, value) {
+                    return scopeAPI.compareAndSetAttribute(key, undefined, value);
+                },
 
-                            scopesCollection
-                                .findOneAndUpdate({_scopeId: scopeId}, {$set: lastModified})
-                                .project(projection)
-                                .then(
-                                    function (result) {
-                                        if (result.value) {
-                                            resolve(result.value);
-                                        } else {
-                                            resolve(result);
-                                        }
-                                    }
-                                )
-                                .catch(
-                                    function (err) {
-                                        reject(err);
-                                    }
-                                );
-                        });
-                    }
+                /**
+                 * Add a value to the end of an array attribute.  A missing attribute
+                 * is created as an array.
+                 *
+                 * @param key
+                 * @param value
+                 * @param unique If true, the value is only added if it isn't already
+                 *               in the array.
+                 * @returns {Promise} Resolves to the new array
+                 */
+                appendAttribute: function (key, value, unique) {
 
                     return new Promise(function (resolve, reject) {
 
-                        scopesCollection
-                            .find({_scopeId: scopeId})
-                            .limit(1)
-                            .project(projection)
-                            .toArray()
+                        var append = {};
+                        append[key] = value;
+
+                        //We can only check that the value is allowed in the array,
+                        //not the array as a whole.
+                        var appended = {};
+                        appended[key] = [value];
+
+                        var invalid = validateScopeAttributes(scopeType, appended);
+                        if (invalid) {
+                            reject(invalid);
+                            return;
+                        }
+
+                        var update = unique ? {$addToSet: append} : {$push: append};
+
+                        var withValue = function (attributes) {
+                            ld.set(attributes, key, (ld.get(attributes, key) || []).concat([value]));
+                        };
+
+                        checkLimits([key], withValue)
                             .then(
-                                function (result) {
-                                    if (result[0]) {
-                                        resolve(result[0]);
-                                    } else {
-                                        resolve();
-                                    }
+                                function () {
+                                    return writeScope(update, true);
+                                }
+                            )
+                            .then(
+                                function (doc) {
+                                    resolve(ld.get(doc, key));
                                 }
                             )
                             .catch(
@@ -328,29 +1260,24 @@ function getScope(accountName, realmName, scopeIdentifier, accessedField) {
                     });
                 },
 
-                removeAttribute: function (key) {
+                /**
+                 * Remove all occurrences of a value from an array attribute.
+                 *
+                 * @param key
+                 * @param value
+                 * @returns {Promise} Resolves to the new array
+                 */
+                removeFromAttribute: function (key, value) {
 
                     return new Promise(function (resolve, reject) {
 
-                        var removeAttribute = {};
-                        removeAttribute[key] = "";
-
-                        if (lastAccessedField) {
-                            removeAttribute[lastAccessedField] = new Date();
-                        }
+                        var remove = {};
+                        remove[key] = value;
 
-                        scopesCollection
-                            .updateOne(
-                                {_scopeId: scopeId},
-                                {$unset: removeAttribute})
+                        writeScope({$pull: remove}, false)
                             .then(
-                                function (result) {
-
-                                    if (result.result && result.result.ok === 1) {
-                                        resolve(key);
-                                    } else {
-                                        reject(result.result);
-                                    }
+                                function (doc) {
+                                    resolve(ld.get(doc, key));
                                 }
                             )
                             .catch(
@@ -365,20 +1292,10 @@ function getScope(accountName, realmName, scopeIdentifier, accessedField) {
 
                     return new Promise(function (resolve, reject) {
 
-                        //We only want to return the scoped values so turn off the others.
-                        var projection = {_id: 0, _scopeId: 0};
-
-                        //TODO: Block any meta fields related to tracking last modified time.
-                        projection[TRANSACTION_LAST_ACCESSED] = 0;
-                        projection[SESSION_LAST_ACCESSED] = 0;
-
-                        scopesCollection
-                            .find({_scopeId: scopeId})
-                            .project(projection)
-                            .toArray()
+                        readLifetime()
                             .then(
-                                function (result) {
-                                    resolve(Object.keys(result[0]));
+                                function (doc) {
+                                    resolve(Object.keys(doc ? stripMetaFields(doc) : {}));
                                 }
                             )
                             .catch(
@@ -397,25 +1314,14 @@ function getScope(accountName, realmName, scopeIdentifier, accessedField) {
                 touch: function () {
                     return new Promise(function (resolve, reject) {
 
-                        if (!lastAccessedField) {
-                            return Promise.resolve();
-                        }
-
-                        var updateAttribute = {};
-                        updateAttribute[lastAccessedField] = new Date();
-
-                        scopesCollection
-                            .updateOne(
-                                {_scopeId: scopeId},
-                                {$set: updateAttribute},
-                                {upsert: false})
+                        writeScope({}, false)
                             .then(
-                                function (result) {
-                                    if (result.result && result.result.ok === 1) {
-                                        resolve(updateAttribute);
-                                    } else {
-                                        reject(result.result);
+                                function (doc) {
+                                    var touched = {};
+                                    if (doc) {
+                                        touched[accessField] = doc[accessField];
                                     }
+                                    resolve(touched);
                                 }
                             )
                             .catch(
@@ -428,15 +1334,12 @@ function getScope(accountName, realmName, scopeIdentifier, accessedField) {
 
                 invalidate: function () {
                     return new Promise(function (resolve, reject) {
-                        scopesCollection
-                            .remove({_scopeId: scopeId})
+                        store
+                            .removeScope(scopeId)
                             .then(
-                                function (result) {
-                                    if (result.result && result.result.ok === 1) {
-                                        resolve(scopeId);
-                                    } else {
-                                        reject(result.result);
-                                    }
+                                function () {
+                                    uncacheScope(cacheKey);
+                                    resolve(scopeId);
                                 }
                             )
                             .catch(
@@ -447,34 +1350,113 @@ function getScope(accountName, realmName, scopeIdentifier, accessedField) {
                     });
                 },
 
-                //The following have not been implemented yet.  They reflect what we know
-                //of standard JavaEE session APIs but may or may not be applicable for our
-                //purposes.
+                //These reflect the standard JavaEE session APIs.  None of them count
+                //as accessing the scope.
+
+                /**
+                 * @returns {Promise} Resolves to the Date the scope was created or
+                 *                    undefined if the scope doesn't exist.
+                 */
                 getCreationTime: function () {
-                    //TODO
                     return new Promise(function (resolve, reject) {
-                        resolve();
+                        readLifetime()
+                            .then(
+                                function (doc) {
+                                    if (!doc) {
+                                        resolve();
+                                        return;
+                                    }
+
+                                    //Scopes created before we started recording the
+                                    //creation time still have it in their ObjectId.
+                                    if (!doc[SCOPE_CREATED] && doc._id && doc._id.getTimestamp) {
+                                        resolve(doc._id.getTimestamp());
+                                        return;
+                                    }
+
+                                    resolve(doc[SCOPE_CREATED]);
+                                }
+                            )
+                            .catch(
+                                function (err) {
+                                    reject(err);
+                                }
+                            );
                     });
                 },
 
+                /**
+                 * @returns {Promise} Resolves to the Date the scope was last accessed
+                 *                    or undefined if the scope doesn't exist.
+                 */
                 getLastAccessedTime: function () {
-                    //TODO
                     return new Promise(function (resolve, reject) {
-                        resolve();
+                        readLifetime()
+                            .then(
+                                function (doc) {
+                                    resolve(doc ? doc[accessField] : undefined);
+                                }
+                            )
+                            .catch(
+                                function (err) {
+                                    reject(err);
+                                }
+                            );
                     });
                 },
 
+                /**
+                 * @returns {Promise} Resolves to the number of seconds the scope can
+                 *                    go without being accessed before it expires. 0
+                 *                    or undefined means that it never expires.
+                 */
                 getMaxInactiveInterval: function () {
-                    //TODO
                     return new Promise(function (resolve, reject) {
-                        resolve();
+                        readLifetime()
+                            .then(
+                                function (doc) {
+                                    resolve(getInterval(doc));
+                                }
+                            )
+                            .catch(
+                                function (err) {
+                                    reject(err);
+                                }
+                            );
                     });
                 },
 
+                /**
+                 * Set how long (in seconds) the scope can go without being accessed
+                 * before it expires.  An interval of 0 or less means the scope never
+                 * expires.  This counts as accessing the scope so the new interval
+                 * starts now.
+                 *
+                 * @param interval
+                 * @returns {Promise} Resolves to the interval
+                 */
                 setMaxInactiveInterval: function (interval) {
-                    //TODO
                     return new Promise(function (resolve, reject) {
-                        resolve();
+
+                        if (typeof interval !== 'number' || isNaN(interval)) {
+                            reject('max inactive interval must be a number');
+                            return;
+                        }
+
+                        var maxInactiveInterval = {};
+                        maxInactiveInterval[SCOPE_MAX_INACTIVE_INTERVAL] = Math.max(interval, 0);
+
+                        writeScope({$set: maxInactiveInterval}, true)
+                            .then(
+                                function () {
+                                    resolve(interval);
+                                }
+                            )
+                            .catch(
+                                function (err) {
+                                    reject(err);
+                                }
+                            );
                     });
                 }
 
@@ -497,8 +1479,8 @@ module.exports.getScope = getScope;
 //functions. They simply use the provided scopeId to operate since all
 //scopes use their own id to store the specific data.
 
-function getScopeFromBarrel(barrel, scopeId, accessedField) {
-    return getScope(barrel.accountId, barrel.realmId, scopeId, accessedField);
+function getScopeFromBarrel(barrel, scopeId, accessedField, scopeTypeName) {
+    return getScope(barrel.accountId, barrel.realmId, scopeId, accessedField, scopeTypeName);
 }
 
 
@@ -511,11 +1493,11 @@ function getScopeFromBarrel(barrel, scopeId, accessedField) {
  * @param accessedField
  * @returns {Promise}
  */
-function setAttribute(barrel, scopeId, key, value, accessedField) {
+function setAttribute(barrel, scopeId, key, value, accessedField, scopeTypeName) {
 
     return new Promise(function (resolve, reject) {
 
-        getScopeFromBarrel(barrel, scopeId, accessedField)
+        getScopeFromBarrel(barrel, scopeId, accessedField, scopeTypeName)
             .then(
                 function (scope) {
 
@@ -541,11 +1523,11 @@ function setAttribute(barrel, scopeId, key, value, accessedField) {
 /**
  * Set all the property names-> values contained in an object in the scope map.
  */
-function setAttributes(barrel, scopeId, obj, accessedField) {
+function setAttributes(barrel, scopeId, obj, accessedField, scopeTypeName) {
 
     return new Promise(function (resolve, reject) {
 
-        getScopeFromBarrel(barrel, scopeId, accessedField)
+        getScopeFromBarrel(barrel, scopeId, accessedField, scopeTypeName)
             .then(
                 function (scope) {
 
@@ -569,18 +1551,159 @@ function setAttributes(barrel, scopeId, obj, accessedField) {
     });
 }
 
-function getAttribute(barrel, scopeId, key, accessedField) {
+function getAttribute(barrel, scopeId, key, accessedField, scopeTypeName) {
 
     return new Promise(function (resolve, reject) {
 
-        getScopeFromBarrel(barrel, scopeId, accessedField)
+        getScopeFromBarrel(barrel, scopeId, accessedField, scopeTypeName)
             .then(
                 function (scope) {
 
                     scope.getAttribute(key)
                         .then(
-                            function (getResult) {
-                                resolve(getResult);
+                            function (getResult) {
+                                resolve(getResult);
+                            }
+                        )
+                        .catch(
+                            function (err) {
+                                reject(err);
+                            }
+                        );
+                })
+            .catch(
+                function (err) {
+                    reject(err);
+                }
+            );
+    });
+}
+
+function getAttributes(barrel, scopeId, accessedField, scopeTypeName) {
+
+    return new Promise(function (resolve, reject) {
+
+        getScopeFromBarrel(barrel, scopeId, accessedField, scopeTypeName)
+            .then(
+                function (scope) {
+
+                    scope.getAttributes()
+                        .then(
+                            function (getResult) {
+                                resolve(getResult);
+                            }
+                        )
+                        .catch(
+                            function (err) {
+                                reject(err);
+                            }
+                        );
+                })
+            .catch(
+                function (err) {
+                    reject(err);
+                }
+            );
+    });
+}
+
+function removeAttribute(barrel, scopeId, key, accessedField, scopeTypeName) {
+
+    return new Promise(function (resolve, reject) {
+
+        getScopeFromBarrel(barrel, scopeId, accessedField, scopeTypeName)
+            .then(
+                function (scope) {
+
+                    scope.removeAttribute(key)
+                        .then(
+                            function (removeResult) {
+                                resolve(removeResult);
+                            }
+                        )
+                        .catch(
+                            function (err) {
+                                reject(err);
+                            }
+                        );
+                })
+            .catch(
+                function (err) {
+                    reject(err);
+                }
+            );
+    });
+}
+
+
+function incrementAttribute(barrel, scopeId, key, amount, accessedField, scopeTypeName) {
+
+    return new Promise(function (resolve, reject) {
+
+        getScopeFromBarrel(barrel, scopeId, accessedField, scopeTypeName)
+            .then(
+                function (scope) {
+
+                    scope.incrementAttribute(key, amount)
+                        .then(
+                            function (incrementResult) {
+                                resolve(incrementResult);
+                            }
+                        )
+                        .catch(
+                            function (err) {
+                                reject(err);
+                            }
+                        );
+                })
+            .catch(
+                function (err) {
+                    reject(err);
+                }
+            );
+    });
+}
+
+function compareAndSetAttribute(barrel, scopeId, key, expected, value, accessedField, scopeTypeName) {
+
+    return new Promise(function (resolve, reject) {
+
+        getScopeFromBarrel(barrel, scopeId, accessedField, scopeTypeName)
+            .then(
+                function (scope) {
+
+                    scope.compareAndSetAttribute(key, expected, value)
+                        .then(
+                            function (setResult) {
+                                resolve(setResult);
+                            }
+                        )
+                        .catch(
+                            function (err) {
+                                reject(err);
+                            }
+                        );
+                })
+            .catch(
+                function (err) {
+                    reject(err);
+                }
+            );
+    });
+}
+
+function setAttributeIfAbsent(barrel, scopeId, key, value, accessedField, scopeTypeName) {
+
+    return new Promise(function (resolve, reject) {
+
+        getScopeFromBarrel(barrel, scopeId, accessedField, scopeTypeName)
+            .then(
+                function (scope) {
+
+                    scope.setAttributeIfAbsent(key, value)
+                        .then(
+                            function (setResult) {
+                                resolve(setResult);
                             }
                         )
                         .catch(
@@ -597,18 +1720,18 @@ function getAttribute(barrel, scopeId, key, accessedField) {
     });
 }
 
-function getAttributes(barrel, scopeId, accessedField) {
+function appendAttribute(barrel, scopeId, key, value, unique, accessedField, scopeTypeName) {
 
     return new Promise(function (resolve, reject) {
 
-        getScopeFromBarrel(barrel, scopeId, accessedField)
+        getScopeFromBarrel(barrel, scopeId, accessedField, scopeTypeName)
             .then(
                 function (scope) {
 
-                    scope.getAttributes()
+                    scope.appendAttribute(key, value, unique)
                         .then(
-                            function (getResult) {
-                                resolve(getResult);
+                            function (appendResult) {
+                                resolve(appendResult);
                             }
                         )
                         .catch(
@@ -625,15 +1748,15 @@ function getAttributes(barrel, scopeId, accessedField) {
     });
 }
 
-function removeAttribute(barrel, scopeId, key, accessedField) {
+function removeFromAttribute(barrel, scopeId, key, value, accessedField, scopeTypeName) {
 
     return new Promise(function (resolve, reject) {
 
-        getScopeFromBarrel(barrel, scopeId, accessedField)
+        getScopeFromBarrel(barrel, scopeId, accessedField, scopeTypeName)
             .then(
                 function (scope) {
 
-                    scope.removeAttribute(key)
+                    scope.removeFromAttribute(key, value)
                         .then(
                             function (removeResult) {
                                 resolve(removeResult);
@@ -654,11 +1777,11 @@ function removeAttribute(barrel, scopeId, key, accessedField) {
 }
 
 
-function getAttributeKeys(barrel, scopeId) {
+function getAttributeKeys(barrel, scopeId, scopeTypeName) {
 
     return new Promise(function (resolve, reject) {
 
-        getScopeFromBarrel(barrel, scopeId)
+        getScopeFromBarrel(barrel, scopeId, null, scopeTypeName)
             .then(
                 function (scope) {
 
@@ -682,11 +1805,11 @@ function getAttributeKeys(barrel, scopeId) {
     });
 }
 
-function touch(barrel, scopeId, accessedField) {
+function touch(barrel, scopeId, accessedField, scopeTypeName) {
 
     return new Promise(function (resolve, reject) {
 
-        getScopeFromBarrel(barrel, scopeId, accessedField)
+        getScopeFromBarrel(barrel, scopeId, accessedField, scopeTypeName)
             .then(
                 function (scope) {
 
@@ -710,11 +1833,11 @@ function touch(barrel, scopeId, accessedField) {
     });
 }
 
-function invalidate(barrel, scopeId) {
+function invalidate(barrel, scopeId, scopeTypeName) {
 
     return new Promise(function (resolve, reject) {
 
-        getScopeFromBarrel(barrel, scopeId)
+        getScopeFromBarrel(barrel, scopeId, null, scopeTypeName)
             .then(
                 function (scope) {
 
@@ -756,30 +1879,15 @@ function getHeader(barrel, headerName) {
 
 
 /**
- * Get a listing of all the scopes in the given account and realm.
+ * Get a listing of all the scopes in the given account and realm, from every
+ * backend that's in use.
  *
  * @param accountName The account name
  * @param realmName The realm
  * @returns {Promise}
  */
 function getAllScopes(accountName, realmName) {
-
-    return new Promise(function (resolve, reject) {
-
-        db.getCollection(accountName, realmName, 'scopes', function (err, scopesCollection) {
-
-            if (err) {
-                reject(err);
-            }
-            scopesCollection.find().toArray(function (err, scopes) {
-                if (err) {
-                    console.log('err! ', err);
-                    reject(err);
-                }
-                resolve(scopes);
-            });
-        });
-    });
+    return findAllScopes(accountName, realmName);
 }
 module.exports.getScopesDirectory = getAllScopes;
 
@@ -816,7 +1924,7 @@ module.exports.getTransactionId = getTransactionId;
  * @returns {Promise|Promise<T>}
  */
 function setTransactionAttribute(barrel, key, value) {
-    return setAttribute(barrel, getTransactionId(barrel), key, value, TRANSACTION_LAST_ACCESSED);
+    return setAttribute(barrel, getTransactionId(barrel), key, value, TRANSACTION_LAST_ACCESSED, 'transaction');
 }
 module.exports.setTransactionAttribute = setTransactionAttribute;
 
@@ -828,7 +1936,7 @@ module.exports.setTransactionAttribute = setTransactionAttribute;
  * @returns {Promise|Promise<T>}
  */
 function setTransactionAttributes(barrel, obj) {
-    return setAttributes(barrel, getTransactionId(barrel), obj, TRANSACTION_LAST_ACCESSED);
+    return setAttributes(barrel, getTransactionId(barrel), obj, TRANSACTION_LAST_ACCESSED, 'transaction');
 }
 module.exports.setTransactionAttributes = setTransactionAttributes;
 
@@ -840,7 +1948,7 @@ module.exports.setTransactionAttributes = setTransactionAttributes;
  * @returns {Promise|Promise<T>}
  */
 function getTransactionAttribute(barrel, key) {
-    return getAttribute(barrel, getTransactionId(barrel), key, TRANSACTION_LAST_ACCESSED);
+    return getAttribute(barrel, getTransactionId(barrel), key, TRANSACTION_LAST_ACCESSED, 'transaction');
 }
 module.exports.getTransactionAttribute = getTransactionAttribute;
 
@@ -851,7 +1959,7 @@ module.exports.getTransactionAttribute = getTransactionAttribute;
  * @returns {Promise|Promise<T>}
  */
 function getTransactionAttributes(barrel) {
-    return getAttributes(barrel, getTransactionId(barrel));
+    return getAttributes(barrel, getTransactionId(barrel), null, 'transaction');
 }
 module.exports.getTransactionAttributes = getTransactionAttributes;
 
@@ -863,10 +1971,77 @@ module.exports.getTransactionAttributes = getTransactionAttributes;
  * @returns {Promise|Promise<T>}
  */
 function removeTransactionAttribute(barrel, key) {
-    return removeAttribute(barrel, getTransactionId(barrel), key, TRANSACTION_LAST_ACCESSED);
+    return removeAttribute(barrel, getTransactionId(barrel), key, TRANSACTION_LAST_ACCESSED, 'transaction');
 }
 module.exports.removeTransactionAttribute = removeTransactionAttribute;
 
+/**
+ * Atomically add to a numeric transaction-scoped attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param amount Defaults to 1
+ * @returns {Promise|Promise<T>} Resolves to the new value
+ */
+function incrementTransactionAttribute(barrel, key, amount) {
+    return incrementAttribute(barrel, getTransactionId(barrel), key, amount, TRANSACTION_LAST_ACCESSED, 'transaction');
+}
+module.exports.incrementTransactionAttribute = incrementTransactionAttribute;
+
+/**
+ * Atomically set a transaction-scoped attribute if it currently has the expected value.
+ *
+ * @param barrel
+ * @param key
+ * @param expected
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to true if the value was set
+ */
+function compareAndSetTransactionAttribute(barrel, key, expected, value) {
+    return compareAndSetAttribute(barrel, getTransactionId(barrel), key, expected, value, TRANSACTION_LAST_ACCESSED, 'transaction');
+}
+module.exports.compareAndSetTransactionAttribute = compareAndSetTransactionAttribute;
+
+/**
+ * Atomically set a transaction-scoped attribute if it isn't already set.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to true if the value was set
+ */
+function setTransactionAttributeIfAbsent(barrel, key, value) {
+    return setAttributeIfAbsent(barrel, getTransactionId(barrel), key, value, TRANSACTION_LAST_ACCESSED, 'transaction');
+}
+module.exports.setTransactionAttributeIfAbsent = setTransactionAttributeIfAbsent;
+
+/**
+ * Atomically add a value to a transaction-scoped array attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @param unique If true, only add the value if it isn't already there
+ * @returns {Promise|Promise<T>} Resolves to the new array
+ */
+function appendTransactionAttribute(barrel, key, value, unique) {
+    return appendAttribute(barrel, getTransactionId(barrel), key, value, unique, TRANSACTION_LAST_ACCESSED, 'transaction');
+}
+module.exports.appendTransactionAttribute = appendTransactionAttribute;
+
+/**
+ * Atomically remove a value from a transaction-scoped array attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to the new array
+ */
+function removeFromTransactionAttribute(barrel, key, value) {
+    return removeFromAttribute(barrel, getTransactionId(barrel), key, value, TRANSACTION_LAST_ACCESSED, 'transaction');
+}
+module.exports.removeFromTransactionAttribute = removeFromTransactionAttribute;
+
 /**
  * Get all the current transaction-scoped keys.
  *
@@ -874,7 +2049,7 @@ module.exports.removeTransactionAttribute = removeTransactionAttribute;
  * @returns {Promise|Promise<T>}
  */
 function getTransactionAttributeKeys(barrel) {
-    return getAttributeKeys(barrel, getTransactionId(barrel));
+    return getAttributeKeys(barrel, getTransactionId(barrel), 'transaction');
 }
 module.exports.getTransactionAttributeKeys = getTransactionAttributeKeys;
 
@@ -886,7 +2061,7 @@ module.exports.getTransactionAttributeKeys = getTransactionAttributeKeys;
  * @returns {Promise|Promise<T>}
  */
 function touchTransaction(barrel) {
-    return touch(barrel, getTransactionId(barrel), TRANSACTION_LAST_ACCESSED);
+    return touch(barrel, getTransactionId(barrel), TRANSACTION_LAST_ACCESSED, 'transaction');
 }
 module.exports.touchTransaction = touchTransaction;
 
@@ -899,7 +2074,7 @@ module.exports.touchTransaction = touchTransaction;
  * @returns {Promise|Promise<T>}
  */
 function invalidateTransaction(barrel) {
-    return invalidate(barrel, getTransactionId(barrel));
+    return invalidate(barrel, getTransactionId(barrel), 'transaction');
 }
 module.exports.invalidateTransaction = invalidateTransaction;
 
@@ -928,7 +2103,7 @@ function getRealmId(barrel) {
  * @returns {Promise|Promise<T>}
  */
 function setRealmAttribute(barrel, key, value) {
-    return setAttribute(barrel, getRealmId(barrel), key, value);
+    return setAttribute(barrel, getRealmId(barrel), key, value, null, 'realm');
 }
 module.exports.setRealmAttribute = setRealmAttribute;
 
@@ -940,7 +2115,7 @@ module.exports.setRealmAttribute = setRealmAttribute;
  * @returns {Promise|Promise<T>}
  */
 function setRealmAttributes(barrel, obj) {
-    return setAttributes(barrel, getRealmId(barrel), obj);
+    return setAttributes(barrel, getRealmId(barrel), obj, null, 'realm');
 }
 module.exports.setRealmAttributes = setRealmAttributes;
 
@@ -952,7 +2127,7 @@ module.exports.setRealmAttributes = setRealmAttributes;
  * @returns {Promise|Promise<T>}
  */
 function getRealmAttribute(barrel, key) {
-    return getAttribute(barrel, getRealmId(barrel), key);
+    return getAttribute(barrel, getRealmId(barrel), key, null, 'realm');
 }
 module.exports.getRealmAttribute = getRealmAttribute;
 
@@ -963,7 +2138,7 @@ module.exports.getRealmAttribute = getRealmAttribute;
  * @returns {Promise|Promise<T>}
  */
 function getRealmAttributes(barrel) {
-    return getAttributes(barrel, getRealmId(barrel));
+    return getAttributes(barrel, getRealmId(barrel), null, 'realm');
 }
 module.exports.getRealmAttributes = getRealmAttributes;
 
@@ -975,10 +2150,77 @@ module.exports.getRealmAttributes = getRealmAttributes;
  * @returns {Promise|Promise<T>}
  */
 function removeRealmAttribute(barrel, key) {
-    return removeAttribute(barrel, getRealmId(barrel), key);
+    return removeAttribute(barrel, getRealmId(barrel), key, null, 'realm');
 }
 module.exports.removeRealmAttribute = removeRealmAttribute;
 
+/**
+ * Atomically add to a numeric realm-scoped attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param amount Defaults to 1
+ * @returns {Promise|Promise<T>} Resolves to the new value
+ */
+function incrementRealmAttribute(barrel, key, amount) {
+    return incrementAttribute(barrel, getRealmId(barrel), key, amount, null, 'realm');
+}
+module.exports.incrementRealmAttribute = incrementRealmAttribute;
+
+/**
+ * Atomically set a realm-scoped attribute if it currently has the expected value.
+ *
+ * @param barrel
+ * @param key
+ * @param expected
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to true if the value was set
+ */
+function compareAndSetRealmAttribute(barrel, key, expected, value) {
+    return compareAndSetAttribute(barrel, getRealmId(barrel), key, expected, value, null, 'realm');
+}
+module.exports.compareAndSetRealmAttribute = compareAndSetRealmAttribute;
+
+/**
+ * Atomically set a realm-scoped attribute if it isn't already set.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to true if the value was set
+ */
+function setRealmAttributeIfAbsent(barrel, key, value) {
+    return setAttributeIfAbsent(barrel, getRealmId(barrel), key, value, null, 'realm');
+}
+module.exports.setRealmAttributeIfAbsent = setRealmAttributeIfAbsent;
+
+/**
+ * Atomically add a value to a realm-scoped array attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @param unique If true, only add the value if it isn't already there
+ * @returns {Promise|Promise<T>} Resolves to the new array
+ */
+function appendRealmAttribute(barrel, key, value, unique) {
+    return appendAttribute(barrel, getRealmId(barrel), key, value, unique, null, 'realm');
+}
+module.exports.appendRealmAttribute = appendRealmAttribute;
+
+/**
+ * Atomically remove a value from a realm-scoped array attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to the new array
+ */
+function removeFromRealmAttribute(barrel, key, value) {
+    return removeFromAttribute(barrel, getRealmId(barrel), key, value, null, 'realm');
+}
+module.exports.removeFromRealmAttribute = removeFromRealmAttribute;
+
 /**
  * Get all the current realm-scoped keys.
  *
@@ -986,7 +2228,7 @@ module.exports.removeRealmAttribute = removeRealmAttribute;
  * @returns {Promise|Promise<T>}
  */
 function getRealmAttributeKeys(barrel) {
-    return getAttributeKeys(barrel, getRealmId(barrel));
+    return getAttributeKeys(barrel, getRealmId(barrel), 'realm');
 }
 module.exports.getRealmAttributeKeys = getRealmAttributeKeys;
 
@@ -999,7 +2241,7 @@ module.exports.getRealmAttributeKeys = getRealmAttributeKeys;
  * @returns {Promise|Promise<T>}
  */
 function invalidateRealm(barrel) {
-    return invalidate(barrel, getRealmId(barrel));
+    return invalidate(barrel, getRealmId(barrel), 'realm');
 }
 module.exports.invalidateRealm = invalidateRealm;
 
@@ -1028,7 +2270,7 @@ function getAccountId(barrel) {
  * @returns {Promise|Promise<T>}
  */
 function setAccountAttribute(barrel, key, value) {
-    return setAttribute(barrel, getAccountId(barrel), key, value);
+    return setAttribute(barrel, getAccountId(barrel), key, value, null, 'account');
 }
 module.exports.setAccountAttribute = setAccountAttribute;
 
@@ -1040,7 +2282,7 @@ module.exports.setAccountAttribute = setAccountAttribute;
  * @returns {Promise|Promise<T>}
  */
 function setAccountAttributes(barrel, obj) {
-    return setAttributes(barrel, getAccountId(barrel), obj);
+    return setAttributes(barrel, getAccountId(barrel), obj, null, 'account');
 }
 module.exports.setAccountAttributes = setAccountAttributes;
 
@@ -1052,7 +2294,7 @@ module.exports.setAccountAttributes = setAccountAttributes;
  * @returns {Promise|Promise<T>}
  */
 function getAccountAttribute(barrel, key) {
-    return getAttribute(barrel, getAccountId(barrel), key);
+    return getAttribute(barrel, getAccountId(barrel), key, null, 'account');
 }
 module.exports.getAccountAttribute = getAccountAttribute;
 
@@ -1063,7 +2305,7 @@ module.exports.getAccountAttribute = getAccountAttribute;
  * @returns {Promise|Promise<T>}
  */
 function getAccountAttributes(barrel) {
-    return getAttributes(barrel, getAccountId(barrel));
+    return getAttributes(barrel, getAccountId(barrel), null, 'account');
 }
 module.exports.getAccountAttributes = getAccountAttributes;
 
@@ -1075,10 +2317,77 @@ module.exports.getAccountAttributes = getAccountAttributes;
  * @returns {Promise|Promise<T>}
  */
 function removeAccountAttribute(barrel, key) {
-    return removeAttribute(barrel, getAccountId(barrel), key);
+    return removeAttribute(barrel, getAccountId(barrel), key, null, 'account');
 }
 module.exports.removeAccountAttribute = removeAccountAttribute;
 
+/**
+ * Atomically add to a numeric account-scoped attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param amount Defaults to 1
+ * @returns {Promise|Promise<T>} Resolves to the new value
+ */
+function incrementAccountAttribute(barrel, key, amount) {
+    return incrementAttribute(barrel, getAccountId(barrel), key, amount, null, 'account');
+}
+module.exports.incrementAccountAttribute = incrementAccountAttribute;
+
+/**
+ * Atomically set a account-scoped attribute if it currently has the expected value.
+ *
+ * @param barrel
+ * @param key
+ * @param expected
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to true if the value was set
+ */
+function compareAndSetAccountAttribute(barrel, key, expected, value) {
+    return compareAndSetAttribute(barrel, getAccountId(barrel), key, expected, value, null, 'account');
+}
+module.exports.compareAndSetAccountAttribute = compareAndSetAccountAttribute;
+
+/**
+ * Atomically set a account-scoped attribute if it isn't already set.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to true if the value was set
+ */
+function setAccountAttributeIfAbsent(barrel, key, value) {
+    return setAttributeIfAbsent(barrel, getAccountId(barrel), key, value, null, 'account');
+}
+module.exports.setAccountAttributeIfAbsent = setAccountAttributeIfAbsent;
+
+/**
+ * Atomically add a value to a account-scoped array attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @param unique If true, only add the value if it isn't already there
+ * @returns {Promise|Promise<T>} Resolves to the new array
+ */
+function appendAccountAttribute(barrel, key, value, unique) {
+    return appendAttribute(barrel, getAccountId(barrel), key, value, unique, null, 'account');
+}
+module.exports.appendAccountAttribute = appendAccountAttribute;
+
+/**
+ * Atomically remove a value from a account-scoped array attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to the new array
+ */
+function removeFromAccountAttribute(barrel, key, value) {
+    return removeFromAttribute(barrel, getAccountId(barrel), key, value, null, 'account');
+}
+module.exports.removeFromAccountAttribute = removeFromAccountAttribute;
+
 /**
  * Get all the current account-scoped keys.
  *
@@ -1086,7 +2395,7 @@ module.exports.removeAccountAttribute = removeAccountAttribute;
  * @returns {Promise|Promise<T>}
  */
 function getAccountAttributeKeys(barrel) {
-    return getAttributeKeys(barrel, getAccountId(barrel));
+    return getAttributeKeys(barrel, getAccountId(barrel), 'account');
 }
 module.exports.getAccountAttributeKeys = getAccountAttributeKeys;
 
@@ -1099,7 +2408,7 @@ module.exports.getAccountAttributeKeys = getAccountAttributeKeys;
  * @returns {Promise|Promise<T>}
  */
 function invalidateAccount(barrel) {
-    return invalidate(barrel, getAccountId(barrel));
+    return invalidate(barrel, getAccountId(barrel), 'account');
 }
 module.exports.invalidateAccount = invalidateAccount;
 
@@ -1139,7 +2448,7 @@ function getActionId(barrel) {
  * @returns {Promise|Promise<T>}
  */
 function setActionAttribute(barrel, key, value) {
-    return setAttribute(barrel, getActionId(barrel), key, value);
+    return setAttribute(barrel, getActionId(barrel), key, value, null, 'action');
 }
 module.exports.setActionAttribute = setActionAttribute;
 
@@ -1152,7 +2461,7 @@ module.exports.setActionAttribute = setActionAttribute;
  * @returns {Promise|Promise<T>}
  */
 function getActionAttribute(barrel, key) {
-    return getAttribute(barrel, getActionId(barrel), key);
+    return getAttribute(barrel, getActionId(barrel), key, null, 'action');
 }
 module.exports.getActionAttribute = getActionAttribute;
 
@@ -1165,10 +2474,77 @@ module.exports.getActionAttribute = getActionAttribute;
  * @returns {Promise|Promise<T>}
  */
 function removeActionAttribute(barrel, key) {
-    return removeAttribute(barrel, getActionId(barrel), key);
+    return removeAttribute(barrel, getActionId(barrel), key, null, 'action');
 }
 module.exports.removeActionAttribute = removeActionAttribute;
 
+/**
+ * Atomically add to a numeric action-scoped attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param amount Defaults to 1
+ * @returns {Promise|Promise<T>} Resolves to the new value
+ */
+function incrementActionAttribute(barrel, key, amount) {
+    return incrementAttribute(barrel, getActionId(barrel), key, amount, null, 'action');
+}
+module.exports.incrementActionAttribute = incrementActionAttribute;
+
+/**
+ * Atomically set a action-scoped attribute if it currently has the expected value.
+ *
+ * @param barrel
+ * @param key
+ * @param expected
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to true if the value was set
+ */
+function compareAndSetActionAttribute(barrel, key, expected, value) {
+    return compareAndSetAttribute(barrel, getActionId(barrel), key, expected, value, null, 'action');
+}
+module.exports.compareAndSetActionAttribute = compareAndSetActionAttribute;
+
+/**
+ * Atomically set a action-scoped attribute if it isn't already set.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to true if the value was set
+ */
+function setActionAttributeIfAbsent(barrel, key, value) {
+    return setAttributeIfAbsent(barrel, getActionId(barrel), key, value, null, 'action');
+}
+module.exports.setActionAttributeIfAbsent = setActionAttributeIfAbsent;
+
+/**
+ * Atomically add a value to a action-scoped array attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @param unique If true, only add the value if it isn't already there
+ * @returns {Promise|Promise<T>} Resolves to the new array
+ */
+function appendActionAttribute(barrel, key, value, unique) {
+    return appendAttribute(barrel, getActionId(barrel), key, value, unique, null, 'action');
+}
+module.exports.appendActionAttribute = appendActionAttribute;
+
+/**
+ * Atomically remove a value from a action-scoped array attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to the new array
+ */
+function removeFromActionAttribute(barrel, key, value) {
+    return removeFromAttribute(barrel, getActionId(barrel), key, value, null, 'action');
+}
+module.exports.removeFromActionAttribute = removeFromActionAttribute;
+
 /**
  * Get all the current action-scoped keys.
  *
@@ -1176,7 +2552,7 @@ module.exports.removeActionAttribute = removeActionAttribute;
  * @returns {Promise|Promise<T>}
  */
 function getActionAttributeKeys(barrel) {
-    return getAttributeKeys(barrel, getActionId(barrel));
+    return getAttributeKeys(barrel, getActionId(barrel), 'action');
 }
 module.exports.getActionAttributeKeys = getActionAttributeKeys;
 
@@ -1189,7 +2565,7 @@ module.exports.getActionAttributeKeys = getActionAttributeKeys;
  * @returns {Promise|Promise<T>}
  */
 function invalidateAction(barrel) {
-    return invalidate(barrel, getActionId(barrel));
+    return invalidate(barrel, getActionId(barrel), 'action');
 }
 module.exports.invalidateAction = invalidateAction;
 
@@ -1235,7 +2611,7 @@ module.exports.getProcessId = getProcessId;
  * @returns {Promise|Promise<T>}
  */
 function setProcessAttribute(barrel, key, value) {
-    return setAttribute(barrel, getProcessId(barrel), key, value);
+    return setAttribute(barrel, getProcessId(barrel), key, value, null, 'process');
 }
 module.exports.setProcessAttribute = setProcessAttribute;
 
@@ -1247,7 +2623,7 @@ module.exports.setProcessAttribute = setProcessAttribute;
  * @returns {Promise|Promise<T>}
  */
 function setProcessAttributes(barrel, obj) {
-    return setAttributes(barrel, getProcessId(barrel), obj);
+    return setAttributes(barrel, getProcessId(barrel), obj, null, 'process');
 }
 module.exports.setProcessAttributes = setProcessAttributes;
 
@@ -1259,7 +2635,7 @@ module.exports.setProcessAttributes = setProcessAttributes;
  * @returns {Promise|Promise<T>}
  */
 function getProcessAttribute(barrel, key) {
-    return getAttribute(barrel, getProcessId(barrel), key);
+    return getAttribute(barrel, getProcessId(barrel), key, null, 'process');
 }
 module.exports.getProcessAttribute = getProcessAttribute;
 
@@ -1270,7 +2646,7 @@ module.exports.getProcessAttribute = getProcessAttribute;
  * @returns {Promise|Promise<T>}
  */
 function getProcessAttributes(barrel) {
-    return getAttributes(barrel, getProcessId(barrel));
+    return getAttributes(barrel, getProcessId(barrel), null, 'process');
 }
 module.exports.getProcessAttributes = getProcessAttributes;
 
@@ -1282,10 +2658,77 @@ module.exports.getProcessAttributes = getProcessAttributes;
  * @returns {Promise|Promise<T>}
  */
 function removeProcessAttribute(barrel, key) {
-    return removeAttribute(barrel, getProcessId(barrel), key);
+    return removeAttribute(barrel, getProcessId(barrel), key, null, 'process');
 }
 module.exports.removeProcessAttribute = removeProcessAttribute;
 
+/**
+ * Atomically add to a numeric process-scoped attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param amount Defaults to 1
+ * @returns {Promise|Promise<T>} Resolves to the new value
+ */
+function incrementProcessAttribute(barrel, key, amount) {
+    return incrementAttribute(barrel, getProcessId(barrel), key, amount, null, 'process');
+}
+module.exports.incrementProcessAttribute = incrementProcessAttribute;
+
+/**
+ * Atomically set a process-scoped attribute if it currently has the expected value.
+ *
+ * @param barrel
+ * @param key
+ * @param expected
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to true if the value was set
+ */
+function compareAndSetProcessAttribute(barrel, key, expected, value) {
+    return compareAndSetAttribute(barrel, getProcessId(barrel), key, expected, value, null, 'process');
+}
+module.exports.compareAndSetProcessAttribute = compareAndSetProcessAttribute;
+
+/**
+ * Atomically set a process-scoped attribute if it isn't already set.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to true if the value was set
+ */
+function setProcessAttributeIfAbsent(barrel, key, value) {
+    return setAttributeIfAbsent(barrel, getProcessId(barrel), key, value, null, 'process');
+}
+module.exports.setProcessAttributeIfAbsent = setProcessAttributeIfAbsent;
+
+/**
+ * Atomically add a value to a process-scoped array attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @param unique If true, only add the value if it isn't already there
+ * @returns {Promise|Promise<T>} Resolves to the new array
+ */
+function appendProcessAttribute(barrel, key, value, unique) {
+    return appendAttribute(barrel, getProcessId(barrel), key, value, unique, null, 'process');
+}
+module.exports.appendProcessAttribute = appendProcessAttribute;
+
+/**
+ * Atomically remove a value from a process-scoped array attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to the new array
+ */
+function removeFromProcessAttribute(barrel, key, value) {
+    return removeFromAttribute(barrel, getProcessId(barrel), key, value, null, 'process');
+}
+module.exports.removeFromProcessAttribute = removeFromProcessAttribute;
+
 /**
  * Get all the current process-scoped keys.
  *
@@ -1293,7 +2736,7 @@ module.exports.removeProcessAttribute = removeProcessAttribute;
  * @returns {Promise|Promise<T>}
  */
 function getProcessAttributeKeys(barrel) {
-    return getAttributeKeys(barrel, getProcessId(barrel));
+    return getAttributeKeys(barrel, getProcessId(barrel), 'process');
 }
 module.exports.getProcessAttributeKeys = getProcessAttributeKeys;
 
@@ -1306,7 +2749,7 @@ module.exports.getProcessAttributeKeys = getProcessAttributeKeys;
  * @returns {Promise|Promise<T>}
  */
 function invalidateProcess(barrel) {
-    return invalidate(barrel, getProcessId(barrel));
+    return invalidate(barrel, getProcessId(barrel), 'process');
 }
 module.exports.invalidateProcess = invalidateProcess;
 
@@ -1334,7 +2777,7 @@ module.exports.getUserId = getUserId;
  * @returns {Promise|Promise<T>}
  */
 function setUserAttribute(barrel, key, value) {
-    return setAttribute(barrel, getUserId(barrel), key, value);
+    return setAttribute(barrel, getUserId(barrel), key, value, null, 'user');
 }
 module.exports.setUserAttribute = setUserAttribute;
 
@@ -1346,7 +2789,7 @@ module.exports.setUserAttribute = setUserAttribute;
  * @returns {Promise|Promise<T>}
  */
 function setUserAttributes(barrel, obj) {
-    return setAttributes(barrel, getUserId(barrel), obj);
+    return setAttributes(barrel, getUserId(barrel), obj, null, 'user');
 }
 module.exports.setUserAttributes = setUserAttributes;
 
@@ -1358,7 +2801,7 @@ module.exports.setUserAttributes = setUserAttributes;
  * @returns {Promise|Promise<T>}
  */
 function getUserAttribute(barrel, key) {
-    return getAttribute(barrel, getUserId(barrel), key);
+    return getAttribute(barrel, getUserId(barrel), key, null, 'user');
 }
 module.exports.getUserAttribute = getUserAttribute;
 
@@ -1369,7 +2812,7 @@ module.exports.getUserAttribute = getUserAttribute;
  * @returns {Promise|Promise<T>}
  */
 function getUserAttributes(barrel) {
-    return getAttributes(barrel, getUserId(barrel));
+    return getAttributes(barrel, getUserId(barrel), null, 'user');
 }
 module.exports.getUserAttributes = getUserAttributes;
 
@@ -1380,10 +2823,77 @@ module.exports.getUserAttributes = getUserAttributes;
  * @param key
  * @returns {Promise|Promise<T>}
  */
-function removeUserAttribute(barrel, key) {
-    return removeAttribute(barrel, getUserId(barrel), key);
+function removeUserAttribute(barrel, key) {
+    return removeAttribute(barrel, getUserId(barrel), key, null, 'user');
+}
+module.exports.removeUserAttribute = removeUserAttribute;
+
+/**
+ * Atomically add to a numeric user-scoped attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param amount Defaults to 1
+ * @returns {Promise|Promise<T>} Resolves to the new value
+ */
+function incrementUserAttribute(barrel, key, amount) {
+    return incrementAttribute(barrel, getUserId(barrel), key, amount, null, 'user');
+}
+module.exports.incrementUserAttribute = incrementUserAttribute;
+
+/**
+ * Atomically set a user-scoped attribute if it currently has the expected value.
+ *
+ * @param barrel
+ * @param key
+ * @param expected
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to true if the value was set
+ */
+function compareAndSetUserAttribute(barrel, key, expected, value) {
+    return compareAndSetAttribute(barrel, getUserId(barrel), key, expected, value, null, 'user');
+}
+module.exports.compareAndSetUserAttribute = compareAndSetUserAttribute;
+
+/**
+ * Atomically set a user-scoped attribute if it isn't already set.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to true if the value was set
+ */
+function setUserAttributeIfAbsent(barrel, key, value) {
+    return setAttributeIfAbsent(barrel, getUserId(barrel), key, value, null, 'user');
+}
+module.exports.setUserAttributeIfAbsent = setUserAttributeIfAbsent;
+
+/**
+ * Atomically add a value to a user-scoped array attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @param unique If true, only add the value if it isn't already there
+ * @returns {Promise|Promise<T>} Resolves to the new array
+ */
+function appendUserAttribute(barrel, key, value, unique) {
+    return appendAttribute(barrel, getUserId(barrel), key, value, unique, null, 'user');
+}
+module.exports.appendUserAttribute = appendUserAttribute;
+
+/**
+ * Atomically remove a value from a user-scoped array attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to the new array
+ */
+function removeFromUserAttribute(barrel, key, value) {
+    return removeFromAttribute(barrel, getUserId(barrel), key, value, null, 'user');
 }
-module.exports.removeUserAttribute = removeUserAttribute;
+module.exports.removeFromUserAttribute = removeFromUserAttribute;
 
 /**
  * Get all the current user-scoped keys.
@@ -1392,7 +2902,7 @@ module.exports.removeUserAttribute = removeUserAttribute;
  * @returns {Promise|Promise<T>}
  */
 function getUserAttributeKeys(barrel) {
-    return getAttributeKeys(barrel, getUserId(barrel));
+    return getAttributeKeys(barrel, getUserId(barrel), 'user');
 }
 module.exports.getUserAttributeKeys = getUserAttributeKeys;
 
@@ -1405,7 +2915,7 @@ module.exports.getUserAttributeKeys = getUserAttributeKeys;
  * @returns {Promise|Promise<T>}
  */
 function invalidateUser(barrel) {
-    return invalidate(barrel, getUserId(barrel));
+    return invalidate(barrel, getUserId(barrel), 'user');
 }
 module.exports.invalidateUser = invalidateUser;
 
@@ -1436,7 +2946,7 @@ function getEnvironmentId(barrel) {
  * @returns {Promise|Promise<T>}
  */
 function setEnvironmentAttribute(barrel, key, value) {
-    return setAttribute(barrel, getEnvironmentId(barrel), key, value);
+    return setAttribute(barrel, getEnvironmentId(barrel), key, value, null, 'environment');
 }
 module.exports.setEnvironmentAttribute = setEnvironmentAttribute;
 
@@ -1448,7 +2958,7 @@ module.exports.setEnvironmentAttribute = setEnvironmentAttribute;
  * @returns {Promise|Promise<T>}
  */
 function setEnvironmentAttributes(barrel, obj) {
-    return setAttributes(barrel, getEnvironmentId(barrel), obj);
+    return setAttributes(barrel, getEnvironmentId(barrel), obj, null, 'environment');
 }
 module.exports.setEnvironmentAttributes = setEnvironmentAttributes;
 
@@ -1460,7 +2970,7 @@ module.exports.setEnvironmentAttributes = setEnvironmentAttributes;
  * @returns {Promise|Promise<T>}
  */
 function getEnvironmentAttribute(barrel, key) {
-    return getAttribute(barrel, getEnvironmentId(barrel), key);
+    return getAttribute(barrel, getEnvironmentId(barrel), key, null, 'environment');
 }
 module.exports.getEnvironmentAttribute = getEnvironmentAttribute;
 
@@ -1471,7 +2981,7 @@ module.exports.getEnvironmentAttribute = getEnvironmentAttribute;
  * @returns {Promise|Promise<T>}
  */
 function getEnvironmentAttributes(barrel) {
-    return getAttributes(barrel, getEnvironmentId(barrel));
+    return getAttributes(barrel, getEnvironmentId(barrel), null, 'environment');
 }
 module.exports.getEnvironmentAttributes = getEnvironmentAttributes;
 
@@ -1483,10 +2993,77 @@ module.exports.getEnvironmentAttributes = getEnvironmentAttributes;
  * @returns {Promise|Promise<T>}
  */
 function removeEnvironmentAttribute(barrel, key) {
-    return removeAttribute(barrel, getEnvironmentId(barrel), key);
+    return removeAttribute(barrel, getEnvironmentId(barrel), key, null, 'environment');
 }
 module.exports.removeEnvironmentAttribute = removeEnvironmentAttribute;
 
+/**
+ * Atomically add to a numeric environment-scoped attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param amount Defaults to 1
+ * @returns {Promise|Promise<T>} Resolves to the new value
+ */
+function incrementEnvironmentAttribute(barrel, key, amount) {
+    return incrementAttribute(barrel, getEnvironmentId(barrel), key, amount, null, 'environment');
+}
+module.exports.incrementEnvironmentAttribute = incrementEnvironmentAttribute;
+
+/**
+ * Atomically set a environment-scoped attribute if it currently has the expected value.
+ *
+ * @param barrel
+ * @param key
+ * @param expected
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to true if the value was set
+ */
+function compareAndSetEnvironmentAttribute(barrel, key, expected, value) {
+    return compareAndSetAttribute(barrel, getEnvironmentId(barrel), key, expected, value, null, 'environment');
+}
+module.exports.compareAndSetEnvironmentAttribute = compareAndSetEnvironmentAttribute;
+
+/**
+ * Atomically set a environment-scoped attribute if it isn't already set.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to true if the value was set
+ */
+function setEnvironmentAttributeIfAbsent(barrel, key, value) {
+    return setAttributeIfAbsent(barrel, getEnvironmentId(barrel), key, value, null, 'environment');
+}
+module.exports.setEnvironmentAttributeIfAbsent = setEnvironmentAttributeIfAbsent;
+
+/**
+ * Atomically add a value to a environment-scoped array attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @param unique If true, only add the value if it isn't already there
+ * @returns {Promise|Promise<T>} Resolves to the new array
+ */
+function appendEnvironmentAttribute(barrel, key, value, unique) {
+    return appendAttribute(barrel, getEnvironmentId(barrel), key, value, unique, null, 'environment');
+}
+module.exports.appendEnvironmentAttribute = appendEnvironmentAttribute;
+
+/**
+ * Atomically remove a value from a environment-scoped array attribute.
+ *
+ * @param barrel
+ * @param key
+ * @param value
+ * @returns {Promise|Promise<T>} Resolves to the new array
+ */
+function removeFromEnvironmentAttribute(barrel, key, value) {
+    return removeFromAttribute(barrel, getEnvironmentId(barrel), key, value, null, 'environment');
+}
+module.exports.removeFromEnvironmentAttribute = removeFromEnvironmentAttribute;
+
 /**
  * Get all the current environment-scoped keys.
  *
@@ -1495,7 +3072,7 @@ module.exports.removeEnvironmentAttribute = removeEnvironmentAttribute;
  */
 function getEnvironmentAttributeKeys(barrel) {
 
-    return getAttributeKeys(barrel, getEnvironmentId(barrel));
+    return getAttributeKeys(barrel, getEnvironmentId(barrel), 'environment');
 }
 module.exports.getEnvironmentAttributeKeys = getEnvironmentAttributeKeys;
 
@@ -1508,4 +3085,565 @@ module.exports.getEnvironmentAttributeKeys = getEnvironmentAttributeKeys;
 function invalidateEnvironment(barrel) {
     //return invalidate(barrel, getEnvironmentId(barrel));
 }
-module.exports.invalidatEnvironment = invalidateEnvironment;
\ No newline at end of file
+module.exports.invalidatEnvironment = invalidateEnvironment;
+
+// -------------------------
+// RESOLVING ATTRIBUTES ACROSS SCOPES
+// -------------------------
+
+//The scope types and how to find the scope for each from the barrel.
+var SCOPE_TYPES = {
+    transaction: {getId: getTransactionId, accessedField: TRANSACTION_LAST_ACCESSED},
+    process: {getId: getProcessId},
+    action: {getId: getActionId},
+    user: {getId: getUserId},
+    realm: {getId: getRealmId},
+    account: {getId: getAccountId},
+    environment: {getId: getEnvironmentId}
+};
+
+//From the most specific scope to the most general.
+var DEFAULT_RESOLVE_CHAIN = ['transaction', 'process', 'action', 'user', 'realm', 'account', 'environment'];
+module.exports.DEFAULT_RESOLVE_CHAIN = DEFAULT_RESOLVE_CHAIN;
+
+/**
+ * Look for an attribute in each scope of the chain in turn and return the first
+ * value found.  For example, with a chain of ['user', 'realm', 'account'], the
+ * user's value is used if there is one, otherwise the realm default, otherwise
+ * the account default.  Scopes that don't apply to the barrel (e.g. the user
+ * scope when there is no username) are skipped.
+ *
+ * @param barrel
+ * @param key The attribute key. Dotted keys are supported.
+ * @param chain Optional array of scope types to check, in order. Defaults to all
+ *              of them from the most specific to the most general.
+ * @returns {Promise} Resolves to {scope, value} where scope is the type of scope
+ *                    the value came from, or undefined if no scope has a value.
+ */
+function resolveAttribute(barrel, key, chain) {
+
+    var scopeTypes = chain || DEFAULT_RESOLVE_CHAIN;
+
+    var unknownTypes = scopeTypes.filter(function (scopeType) {
+        return !SCOPE_TYPES[scopeType];
+    });
+
+    if (unknownTypes.length > 0) {
+        return Promise.reject('unknown scope type: ' + unknownTypes.join(', '));
+    }
+
+    function resolveFrom(index) {
+
+        if (index >= scopeTypes.length) {
+            return Promise.resolve();
+        }
+
+        var scopeType = SCOPE_TYPES[scopeTypes[index]];
+        var scopeId = scopeType.getId(barrel);
+
+        if (!scopeId) {
+            return resolveFrom(index + 1);
+        }
+
+        return getAttributes(barrel, scopeId, scopeType.accessedField, scopeTypes[index])
+            .then(function (attributes) {
+
+                var value = ld.get(attributes, key);
+
+                if (value !== undefined) {
+                    return {scope: scopeTypes[index], value: value};
+                }
+
+                return resolveFrom(index + 1);
+            });
+    }
+
+    return resolveFrom(0);
+}
+module.exports.resolveAttribute = resolveAttribute;
+
+
+// -------------------------
+// WATCHING SCOPES
+// -------------------------
+
+//Calls the handler for each watched key that differs between the two versions
+//of the scope.  A scope that doesn't exist has no attributes.
+function notifyScopeChanges(scopeId, keys, oldDoc, newDoc, handler) {
+
+    var oldAttributes = oldDoc ? ld.omit(oldDoc, getMetaFields()) : {};
+    var newAttributes = newDoc ? ld.omit(newDoc, getMetaFields()) : {};
+
+    var changedKeys = keys || ld.union(Object.keys(oldAttributes), Object.keys(newAttributes));
+
+    changedKeys.forEach(function (key) {
+
+        var oldValue = ld.get(oldAttributes, key);
+        var newValue = ld.get(newAttributes, key);
+
+        if (!ld.isEqual(oldValue, newValue)) {
+            handler({scopeId: scopeId, key: key, oldValue: oldValue, newValue: newValue});
+        }
+    });
+}
+
+/**
+ * Watch a scope for changes.  The handler is called with {scopeId, key, oldValue,
+ * newValue} for each attribute that changes, whether it's changed by this service
+ * instance or any other.  An attribute that is added has an oldValue of undefined
+ * and one that is removed has a newValue of undefined.  Invalidating the scope
+ * removes all its attributes.
+ *
+ * Changes are seen using a MongoDB change stream, or directly for scopes kept in
+ * memory.  If that isn't possible (change streams need a replica set), the scope
+ * is checked every config.scopes.watch.pollInterval instead.  In that case,
+ * changes that are undone between checks aren't seen.  Scopes whose backend
+ * depends on a type that can't be told from the id (e.g. user scopes) are watched
+ * in the default backend.
+ *
+ * @param accountName
+ * @param realmName
+ * @param scopeId The id of the scope (e.g. '_environment_' or '_realm_' + realmName)
+ * @param keys Optional array of the attribute keys to watch.  Dotted keys are
+ *             supported.  If not provided, all attributes are watched.
+ * @param handler function(change)
+ * @returns {{close: Function}} Call close() to stop watching.
+ */
+function watch(accountName, realmName, scopeId, keys, handler) {
+
+    if (typeof keys === 'function') {
+        handler = keys;
+        keys = undefined;
+    }
+
+    var logger = require('./loggers').getLogger();
+    var location = getScopeLocation(accountName, realmName, scopeId);
+
+    var closed = false;
+    var changeStream;
+    var pollTimer;
+
+    //The last version of the scope that we've seen.  Changes are processed one at
+    //a time, in order, once we've read the initial version.
+    var current;
+    var processing;
+
+    function update(newDoc) {
+        if (closed) {
+            return;
+        }
+        var oldDoc = current;
+        current = newDoc;
+        notifyScopeChanges(scopeId, keys, oldDoc, newDoc, handler);
+    }
+
+    function readScope(store) {
+        return store.findScope(scopeId, new Date());
+    }
+
+    function poll(store) {
+
+        pollTimer = setInterval(function () {
+
+            processing = processing
+                .then(function () {
+                    return readScope(store);
+                })
+                .then(update)
+                .catch(function (err) {
+                    logger.warn('failed to check scope for changes', location.accountName, location.realmName, scopeId, err.message);
+                });
+
+        }, config.scopes.watch.pollInterval);
+
+        //Watching shouldn't keep the process running on its own.
+        if (pollTimer.unref) {
+            pollTimer.unref();
+        }
+    }
+
+    var backendName = getScopeBackendName(getScopeTypeName(scopeId), getCustomScopeType(scopeId));
+
+    scopeBackends.getStore(backendName, location.accountName, location.realmName, function (err, store) {
+
+        if (err) {
+            logger.error('Failed to get scope store: ' + location.accountName + ', realm: ' + location.realmName +
+                ', backend: ' + backendName, err);
+            return;
+        }
+
+        if (closed) {
+            return;
+        }
+
+        //Start watching before reading the initial version so that nothing is
+        //missed in between.
+        if (typeof store.watch === 'function') {
+            changeStream = store.watch(scopeId);
+        }
+
+        if (changeStream) {
+
+            changeStream.on('change', function (change) {
+
+                processing = processing.then(function () {
+
+                    if (change.fullDocument && change.fullDocument._scopeId === scopeId) {
+                        update(change.fullDocument);
+                    } else if (current && change.documentKey && ld.isEqual(change.documentKey._id, current._id)) {
+                        update(undefined);
+                    }
+                }).catch(function (err) {
+                    logger.warn('failed to process scope change', location.accountName, location.realmName, scopeId, err.message);
+                });
+            });
+
+            changeStream.on('error', function (err) {
+
+                changeStream.close();
+                changeStream = undefined;
+
+                if (!closed) {
+                    logger.debug('cannot watch scope with a change stream, polling instead', location.accountName,
+                        location.realmName, scopeId, err.message);
+                    poll(store);
+                }
+            });
+
+        } else {
+            poll(store);
+        }
+
+        processing = readScope(store)
+            .then(function (doc) {
+                current = doc;
+            })
+            .catch(function (err) {
+                logger.warn('failed to read scope for watching', location.accountName, location.realmName, scopeId, err.message);
+            });
+    });
+
+    return {
+        close: function () {
+            closed = true;
+            if (changeStream) {
+                changeStream.close();
+                changeStream = undefined;
+            }
+            if (pollTimer) {
+                clearInterval(pollTimer);
+                pollTimer = undefined;
+            }
+        }
+    };
+}
+module.exports.watch = watch;
+
+
+// -------------------------
+// EXPORTING AND IMPORTING SCOPES
+// -------------------------
+
+var IMPORT_POLICIES = ['overwrite', 'merge', 'skip'];
+module.exports.IMPORT_POLICIES = IMPORT_POLICIES;
+
+//The standard scopes that don't have a fixed id are exported by type so they can
+//be imported into a different realm.
+function getScopeIdForType(scope, realmName) {
+    if (scope === 'realm') {
+        return '_realm_' + realmName;
+    }
+    if (scope === 'account') {
+        return '_account_';
+    }
+    if (scope === 'environment') {
+        return '_environment_';
+    }
+}
+
+function readScopeDocument(accountName, realmName, scopeId) {
+
+    var location = getScopeLocation(accountName, realmName, scopeId);
+    var backendName = getScopeBackendName(getScopeTypeName(scopeId), getCustomScopeType(scopeId));
+
+    return getScopeStore(backendName, location.accountName, location.realmName)
+        .then(function (store) {
+            return store.findScope(scopeId, new Date());
+        });
+}
+
+/**
+ * Export scopes as plain JSON that can be imported into another account and/or
+ * realm (see importScopes).  Only the attributes and the max inactive interval of
+ * each scope are exported.  The internal fields, like when the scope was created
+ * and last accessed, aren't.  Scopes that don't exist aren't exported.
+ *
+ * @param accountName
+ * @param realmName
+ * @param selection Array of the scopes to export.  Each is either 'realm', 'account',
+ *                  'environment' or the id of any other scope in the realm.
+ * @returns {Promise} Resolves to {version, scopes}
+ */
+function exportScopes(accountName, realmName, selection) {
+
+    return Promise.all(selection.map(function (selected) {
+
+        var scopeId = getScopeIdForType(selected, realmName) || selected;
+
+        return readScopeDocument(accountName, realmName, scopeId)
+            .then(function (doc) {
+
+                if (!doc) {
+                    return;
+                }
+
+                var exported = {};
+
+                if (getScopeIdForType(selected, realmName)) {
+                    exported.scope = selected;
+                } else {
+                    exported.scopeId = scopeId;
+                }
+
+                var accessedField = getLastAccessedFields().find(function (field) {
+                    return doc[field] !== undefined;
+                });
+                if (accessedField) {
+                    exported.accessedField = accessedField;
+                }
+
+                if (doc[SCOPE_MAX_INACTIVE_INTERVAL] !== undefined) {
+                    exported.maxInactiveInterval = doc[SCOPE_MAX_INACTIVE_INTERVAL];
+                }
+
+                exported.attributes = ld.omit(doc, getMetaFields());
+
+                return exported;
+            });
+    }))
+        .then(function (exportedScopes) {
+            return {
+                version: 1,
+                scopes: exportedScopes.filter(function (exported) {
+                    return !!exported;
+                })
+            };
+        });
+}
+module.exports.exportScopes = exportScopes;
+
+function importScope(accountName, realmName, exported, policy) {
+
+    var scopeId = exported.scope ? getScopeIdForType(exported.scope, realmName) : exported.scopeId;
+
+    if (!scopeId) {
+        return Promise.reject('cannot import scope without a valid scope or scopeId');
+    }
+
+    return getScope(accountName, realmName, scopeId, exported.accessedField)
+        .then(function (scope) {
+
+            //Check for an existing scope without counting it as an access.
+            return scope.getCreationTime()
+                .then(function (created) {
+
+                    if (created && policy === 'skip') {
+                        return {scopeId: scopeId, imported: false};
+                    }
+
+                    //Overwriting replaces the whole scope so anything that isn't
+                    //being imported is gone.
+                    var ready = created && policy === 'overwrite' ? scope.invalidate() : Promise.resolve();
+
+                    return ready
+                        .then(function () {
+                            return scope.setAttributes(exported.attributes || {});
+                        })
+                        .then(function () {
+                            if (exported.maxInactiveInterval !== undefined) {
+                                return scope.setMaxInactiveInterval(exported.maxInactiveInterval);
+                            }
+                        })
+                        .then(function () {
+                            return {scopeId: scopeId, imported: true};
+                        });
+                });
+        });
+}
+
+/**
+ * Import scopes that were exported with exportScopes.  Realm scopes are imported
+ * as the scope of the target realm.  Attributes are checked against any custom
+ * scope types, as for setAttributes.
+ *
+ * What happens when a scope already exists depends on the policy:
+ *
+ * - overwrite: the existing scope is replaced by the imported one
+ * - merge: the imported attributes are set on the existing scope, other
+ *   attributes are kept
+ * - skip: the existing scope is left alone
+ *
+ * @param accountName
+ * @param realmName
+ * @param exported The result of exportScopes
+ * @param options Optional {policy}. The policy defaults to 'merge'.
+ * @returns {Promise} Resolves to {imported, skipped}, each an array of scope ids
+ */
+function importScopes(accountName, realmName, exported, options) {
+
+    var policy = (options && options.policy) || 'merge';
+
+    if (IMPORT_POLICIES.indexOf(policy) < 0) {
+        return Promise.reject('unknown import policy: ' + policy);
+    }
+
+    if (!exported || !Array.isArray(exported.scopes)) {
+        return Promise.reject('nothing to import');
+    }
+
+    //One at a time so that a failure leaves the earlier ones imported, and
+    //we know which they are.
+    var report = {imported: [], skipped: []};
+
+    return exported.scopes.reduce(function (previous, exportedScope) {
+        return previous.then(function () {
+            return importScope(accountName, realmName, exportedScope, policy)
+                .then(function (result) {
+                    if (result.imported) {
+                        report.imported.push(result.scopeId);
+                    } else {
+                        report.skipped.push(result.scopeId);
+                    }
+                });
+        });
+    }, Promise.resolve())
+        .then(function () {
+            return report;
+        });
+}
+module.exports.importScopes = importScopes;
+
+/**
+ * Copy scopes from one account/realm to another.  For example, to provision a new
+ * realm from a template realm.
+ *
+ * @param fromAccountName
+ * @param fromRealmName
+ * @param toAccountName
+ * @param toRealmName
+ * @param selection The scopes to copy (see exportScopes)
+ * @param options Optional {policy} (see importScopes)
+ * @returns {Promise} Resolves to {imported, skipped}
+ */
+function cloneScopes(fromAccountName, fromRealmName, toAccountName, toRealmName, selection, options) {
+    return exportScopes(fromAccountName, fromRealmName, selection)
+        .then(function (exported) {
+            return importScopes(toAccountName, toRealmName, exported, options);
+        });
+}
+module.exports.cloneScopes = cloneScopes;
+
+
+// -------------------------
+// SNAPSHOTS
+// -------------------------
+
+/**
+ * Get the attributes of several scopes at once.  Most scopes are in the same
+ * place (the realm's scopes in their backend) so they are read with a single
+ * query. Account and environment scopes, and scopes kept in other backends, need
+ * one more query each.  Cached scopes (see
+ * config.scopes.cache) are taken from the cache.  As with getRealmAttributes and
+ * friends, reading a snapshot doesn't count as accessing the scopes.
+ *
+ * @param barrel
+ * @param scopeTypes Optional array of the types of scope to get (e.g. ['transaction',
+ *                   'user', 'realm']).  Defaults to all of them.
+ * @returns {Promise} Resolves to an object with the attributes of each type of scope.
+ *                    A scope that doesn't exist, or doesn't apply to the barrel
+ *                    (e.g. user scope without a username), is undefined.
+ */
+function snapshot(barrel, scopeTypes) {
+
+    var types = scopeTypes || DEFAULT_RESOLVE_CHAIN;
+
+    var unknownTypes = types.filter(function (scopeType) {
+        return !SCOPE_TYPES[scopeType];
+    });
+
+    if (unknownTypes.length > 0) {
+        return Promise.reject('unknown scope type: ' + unknownTypes.join(', '));
+    }
+
+    var result = {};
+
+    //The scopes to read, grouped by where they are kept.
+    var locations = {};
+
+    types.forEach(function (type) {
+
+        result[type] = undefined;
+
+        var scopeId = SCOPE_TYPES[type].getId(barrel);
+        if (!scopeId) {
+            return;
+        }
+
+        var location = getScopeLocation(barrel.accountId, barrel.realmId, scopeId);
+
+        if (getCachedScopeType(scopeId)) {
+            var cached = getScopeCache().get(getScopeCacheKey(location.accountName, location.realmName, scopeId));
+            if (cached) {
+                result[type] = cached.doc ? ld.omit(ld.cloneDeep(cached.doc), getMetaFields()) : undefined;
+                return;
+            }
+        }
+
+        var backendName = getScopeBackendName(type, getCustomScopeType(scopeId));
+        var locationKey = [backendName, location.accountName, location.realmName].join('/');
+        if (!locations[locationKey]) {
+            locations[locationKey] = {
+                backendName: backendName,
+                accountName: location.accountName,
+                realmName: location.realmName,
+                types: {}
+            };
+        }
+        locations[locationKey].types[scopeId] = type;
+    });
+
+    return Promise.all(Object.keys(locations).map(function (locationKey) {
+
+        var location = locations[locationKey];
+        var scopeIds = Object.keys(location.types);
+        var version = scopeCacheVersion;
+
+        return getScopeStore(location.backendName, location.accountName, location.realmName)
+            .then(function (store) {
+                return store
+                    .findScopes(scopeIds, new Date())
+                    .then(function (docs) {
+
+                        var docsById = ld.keyBy(docs, '_scopeId');
+
+                        scopeIds.forEach(function (scopeId) {
+
+                            var doc = docsById[scopeId];
+                            var cacheType = getCachedScopeType(scopeId);
+
+                            if (cacheType && version === scopeCacheVersion &&
+                                (!doc || doc[SCOPE_MAX_INACTIVE_INTERVAL] === undefined)) {
+                                cacheScope(getScopeCacheKey(location.accountName, location.realmName, scopeId), cacheType, doc);
+                                watchForCachedScopeChanges(store, location.accountName, location.realmName);
+                            }
+
+                            result[location.types[scopeId]] = doc ? ld.omit(doc, getMetaFields()) : undefined;
+                        });
+                    });
+            });
+    }))
+        .then(function () {
+            return result;
+        });
+}
+module.exports.snapshot = snapshot;
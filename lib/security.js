@@ -1,23 +1,337 @@
 var crypto = require('crypto');
 var bcrypt = require('bcrypt-nodejs');
-var SALT_WORK_FACTOR = 10;
+var config = require('./config');
 
-function encrypt(text, salt) {
-    var cipher = crypto.createCipher('aes-256-cbc', salt);
-    cipher.update(text, 'utf8', 'base64');
-    var encryptedText = cipher.final('base64');
-    return encryptedText;
+//Encrypted values are stored as an envelope that carries everything needed to
+//decrypt them (other than the secret itself).  The envelope is a string of
+//colon separated fields, with the binary fields base64 encoded:
+//
+//   v1:<kdf>:<keyId>:<kdfSalt>:<iv>:<authTag>:<cipherText>
+//
+//Legacy values (from crypto.createCipher) are plain base64 so they never
+//contain a colon which is how we tell the two apart.
+var ENVELOPE_VERSION = 'v1';
+var ENVELOPE_SEPARATOR = ':';
+var CIPHER_ALGORITHM = 'aes-256-gcm';
+var KEY_LENGTH = 32;
+var IV_LENGTH = 12;
+var KDF_SALT_LENGTH = 16;
+var DEFAULT_KEY_ID = 'default';
+
+//The key derivation functions.  scrypt is preferred but is only available as of
+//Node 10.5 so we fall back to PBKDF2 on older runtimes.
+var KDF_SCRYPT = 's';
+var KDF_PBKDF2 = 'p';
+var SCRYPT_OPTIONS = {N: 16384, r: 8, p: 1};
+var PBKDF2_ITERATIONS = 100000;
+
+//Deriving a key is deliberately slow so we remember the keys we have derived.
+//Each secret gets a single random KDF salt per process which means encrypting
+//doesn't pay for a derivation every time.  Every envelope still gets its own
+//random IV.
+var MAX_DERIVED_KEYS = 100;
+var derivedKeys = {};
+var derivedKeyCount = 0;
+var encryptionSalts = {};
+
+function getSecretFingerprint(secret) {
+    return crypto.createHash('sha256').update(secret).digest('base64');
 }
 
+function deriveKey(secret, kdf, kdfSalt) {
+
+    var cacheKey = kdf + getSecretFingerprint(secret) + kdfSalt.toString('base64');
+    var key = derivedKeys[cacheKey];
+
+    if (key) {
+        return key;
+    }
+
+    if (kdf === KDF_SCRYPT) {
+        key = crypto.scryptSync(secret, kdfSalt, KEY_LENGTH, SCRYPT_OPTIONS);
+    } else if (kdf === KDF_PBKDF2) {
+        key = crypto.pbkdf2Sync(secret, kdfSalt, PBKDF2_ITERATIONS, KEY_LENGTH, 'sha256');
+    } else {
+        throw new Error('unknown key derivation function: ' + kdf);
+    }
+
+    //A crude bound on the cache. Starting over now and then is cheaper than
+    //tracking usage.
+    if (derivedKeyCount >= MAX_DERIVED_KEYS) {
+        derivedKeys = {};
+        derivedKeyCount = 0;
+    }
+    derivedKeys[cacheKey] = key;
+    derivedKeyCount += 1;
+
+    return key;
+}
+
+function getEncryptionSalt(secret) {
+
+    var fingerprint = getSecretFingerprint(secret);
+
+    if (!encryptionSalts[fingerprint]) {
+        encryptionSalts[fingerprint] = crypto.randomBytes(KDF_SALT_LENGTH);
+    }
+
+    return encryptionSalts[fingerprint];
+}
+
+/**
+ * The legacy values were encrypted with crypto.createCipher which derives the
+ * key and IV from the password using OpenSSL's EVP_BytesToKey (MD5, a single
+ * iteration and no salt).  That function is deprecated and has been removed in
+ * newer versions of Node so we do the same derivation ourselves.
+ */
+function deriveLegacyKeyAndIV(password) {
+
+    var material = Buffer.alloc(0);
+    var block = Buffer.alloc(0);
+
+    while (material.length < KEY_LENGTH + 16) {
+        block = crypto.createHash('md5').update(Buffer.concat([block, Buffer.from(password)])).digest();
+        material = Buffer.concat([material, block]);
+    }
+
+    return {
+        key: material.slice(0, KEY_LENGTH),
+        iv: material.slice(KEY_LENGTH, KEY_LENGTH + 16)
+    };
+}
+
+//The original encrypt threw away what cipher.update returned so each stored value
+//only holds the final block.  Values shorter than a block (16 bytes) fit in it
+//and come back whole.  For anything longer, the earlier blocks are gone and the
+//padding check fails so this throws, just as the original decrypt did.
+function decryptLegacy(text, salt) {
+    var legacy = deriveLegacyKeyAndIV(salt);
+    var decipher = crypto.createDecipheriv('aes-256-cbc', legacy.key, legacy.iv);
+    return decipher.update(text, 'base64', 'utf8') + decipher.final('utf8');
+}
+
+/**
+ * Whether the value was encrypted with the legacy (pre-envelope) scheme and
+ * should be re-encrypted.
+ *
+ * @param text The encrypted value
+ * @returns {boolean}
+ */
+function isLegacyEncrypted(text) {
+    return typeof text === 'string' && text.indexOf(ENVELOPE_SEPARATOR) < 0;
+}
+
+/**
+ * Encrypts the text with AES-256-GCM using a key derived from the secret.  The
+ * result is a versioned envelope that includes the random IV, the
+ * authentication tag and the identifier of the key that was used.
+ *
+ * @param text The text to encrypt
+ * @param salt The secret to derive the encryption key from
+ * @param keyId (optional) An identifier for the secret, stored in the envelope
+ * @returns {string} The encrypted envelope
+ */
+function encrypt(text, salt, keyId) {
+
+    var kdf = typeof crypto.scryptSync === 'function' ? KDF_SCRYPT : KDF_PBKDF2;
+    var kdfSalt = getEncryptionSalt(salt);
+    var key = deriveKey(salt, kdf, kdfSalt);
+    var iv = crypto.randomBytes(IV_LENGTH);
+
+    var cipher = crypto.createCipheriv(CIPHER_ALGORITHM, key, iv);
+    var cipherText = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+    return [
+        ENVELOPE_VERSION,
+        kdf,
+        keyId || DEFAULT_KEY_ID,
+        kdfSalt.toString('base64'),
+        iv.toString('base64'),
+        cipher.getAuthTag().toString('base64'),
+        cipherText.toString('base64')
+    ].join(ENVELOPE_SEPARATOR);
+}
+
+/**
+ * Splits an encrypted envelope into its parts.
+ *
+ * @param text The encrypted envelope
+ * @returns {{version, kdf, keyId, kdfSalt, iv, authTag, cipherText}}
+ */
+function parseEnvelope(text) {
+
+    var parts = text.split(ENVELOPE_SEPARATOR);
+
+    if (parts.length !== 7 || parts[0] !== ENVELOPE_VERSION) {
+        throw new Error('unsupported encrypted value');
+    }
+
+    return {
+        version: parts[0],
+        kdf: parts[1],
+        keyId: parts[2],
+        kdfSalt: Buffer.from(parts[3], 'base64'),
+        iv: Buffer.from(parts[4], 'base64'),
+        authTag: Buffer.from(parts[5], 'base64'),
+        cipherText: Buffer.from(parts[6], 'base64')
+    };
+}
+
+/**
+ * Decrypts a value produced by encrypt.  Values encrypted with the legacy scheme
+ * are still supported so that stored data can be migrated.  Throws if the
+ * value has been tampered with or the secret is wrong.
+ *
+ * @param text The encrypted value
+ * @param salt The secret the value was encrypted with
+ * @returns {string} The decrypted text
+ */
 function decrypt(text, salt) {
-    var decipher = crypto.createDecipher('aes-256-cbc', salt);
-    decipher.update(text, 'base64', 'utf8');
-    var decryptedText = decipher.final('utf8');
-    return decryptedText;
+
+    if (isLegacyEncrypted(text)) {
+        return decryptLegacy(text, salt);
+    }
+
+    var envelope = parseEnvelope(text);
+    var key = deriveKey(salt, envelope.kdf, envelope.kdfSalt);
+
+    var decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, key, envelope.iv);
+    decipher.setAuthTag(envelope.authTag);
+
+    return Buffer.concat([decipher.update(envelope.cipherText), decipher.final()]).toString('utf8');
+}
+
+//The keyring is loaded from the environment properties.  Each key is a property
+//named with the prefix followed by the key id (e.g. ENCRYPTION_KEY_2021A=...).
+//The active key, used for encrypting, is named by ENCRYPTION_ACTIVE_KEY.  Values
+//encrypted before envelopes existed don't name their key so, if it isn't the
+//active one, ENCRYPTION_LEGACY_KEY names the key to decrypt them with.
+var KEY_PROPERTY_PREFIX = 'ENCRYPTION_KEY_';
+var ACTIVE_KEY_PROPERTY = 'ENCRYPTION_ACTIVE_KEY';
+var LEGACY_KEY_PROPERTY = 'ENCRYPTION_LEGACY_KEY';
+
+var defaultKeyring;
+
+/**
+ * Creates a keyring from a set of named keys.  A keyring lets secrets be rotated
+ * without re-encrypting everything at once: new values are always encrypted
+ * with the active key while existing values are decrypted with whichever key
+ * their envelope names.  Background jobs can then use reencrypt to gradually
+ * move stored values over to the active key.
+ *
+ * @param keys Object of key ids to secrets
+ * @param activeKeyId The id of the key to encrypt with
+ * @param legacyKeyId (optional) The id of the key for legacy values. Defaults to the active key.
+ * @returns The keyring API
+ */
+function createKeyring(keys, activeKeyId, legacyKeyId) {
+
+    if (!keys || !keys[activeKeyId]) {
+        throw new Error('active encryption key not found: ' + activeKeyId);
+    }
+
+    legacyKeyId = legacyKeyId || activeKeyId;
+
+    function getKey(keyId) {
+        var key = keys[keyId];
+        if (!key) {
+            throw new Error('unknown encryption key: ' + keyId);
+        }
+        return key;
+    }
+
+    function getKeyId(text) {
+        return isLegacyEncrypted(text) ? legacyKeyId : parseEnvelope(text).keyId;
+    }
+
+    var keyring = {
+
+        getActiveKeyId: function () {
+            return activeKeyId;
+        },
+
+        getKeyIds: function () {
+            return Object.keys(keys);
+        },
+
+        encrypt: function (text) {
+            return encrypt(text, getKey(activeKeyId), activeKeyId);
+        },
+
+        decrypt: function (text) {
+            return decrypt(text, getKey(getKeyId(text)));
+        },
+
+        //Whether the value is in the legacy format or was encrypted with a key
+        //other than the active one.
+        needsReencrypt: function (text) {
+            return isLegacyEncrypted(text) || getKeyId(text) !== activeKeyId;
+        },
+
+        //Returns the value encrypted with the active key.  Values that already
+        //are are returned unchanged so this is safe to run over and over.
+        reencrypt: function (text) {
+            if (!keyring.needsReencrypt(text)) {
+                return text;
+            }
+            return keyring.encrypt(keyring.decrypt(text));
+        }
+    };
+
+    return keyring;
 }
 
-function bcryptionSync(text) {
-    var salt = bcrypt.genSaltSync(SALT_WORK_FACTOR);
+/**
+ * Creates a keyring from environment properties as described above.  If no
+ * properties are provided, the properties loaded by runtimeEnvironment and the
+ * process environment (where aws-startup puts them) are used.
+ *
+ * @param properties (optional) The properties to load the keys from
+ * @returns The keyring API
+ */
+function loadKeyring(properties) {
+
+    if (!properties) {
+        var runtimeEnvironment = require('./runtimeEnvironment');
+        properties = Object.assign({}, runtimeEnvironment.getEnvironmentProperties(), process.env);
+    }
+
+    var keys = {};
+    Object.keys(properties).forEach(function (name) {
+        if (name.indexOf(KEY_PROPERTY_PREFIX) === 0 && properties[name]) {
+            keys[name.substring(KEY_PROPERTY_PREFIX.length)] = properties[name];
+        }
+    });
+
+    return createKeyring(keys, properties[ACTIVE_KEY_PROPERTY], properties[LEGACY_KEY_PROPERTY]);
+}
+
+/**
+ * Get the keyring loaded from the environment properties.  It is loaded the first
+ * time it's asked for, which should be after the environment properties have
+ * been set during service startup.
+ *
+ * @param reload (optional) Load the keyring again, e.g. after the keys have changed.
+ * @returns The keyring API
+ */
+function getKeyring(reload) {
+    if (!defaultKeyring || reload) {
+        defaultKeyring = loadKeyring();
+    }
+    return defaultKeyring;
+}
+
+function getWorkFactor(workFactor) {
+    return workFactor || config.security.bcryptWorkFactor;
+}
+
+//The bcrypt library throws strings rather than errors.
+function toError(err) {
+    return err instanceof Error ? err : new Error(err);
+}
+
+function bcryptionSync(text, workFactor) {
+    var salt = bcrypt.genSaltSync(getWorkFactor(workFactor));
     var bcryptedHash = bcrypt.hashSync(text, salt);
     return bcryptedHash;
 }
@@ -26,26 +340,361 @@ function bcompareSync(text, hash) {
     return bcrypt.compareSync(text, hash);
 }
 
-function bcryption(text) {
+/**
+ * Hashes the text with bcrypt.
+ *
+ * @param text The text (e.g. password) to hash
+ * @param workFactor (optional) Defaults to config.security.bcryptWorkFactor
+ * @returns {Promise} Resolves to the hash
+ */
+function bcryption(text, workFactor) {
 
-    //Generate salt for the hash
-    bcrypt.genSalt(SALT_WORK_FACTOR, function (err, salt) {
+    return new Promise(function (resolve, reject) {
 
-        if (err) {
-            throw err;
-        }
+        //Generate salt for the hash
+        bcrypt.genSalt(getWorkFactor(workFactor), function (err, salt) {
+
+            if (err) {
+                reject(toError(err));
+                return;
+            }
+
+            bcrypt.hash(text, salt, null, function (err, hash) {
+
+                if (err) {
+                    reject(toError(err));
+                    return;
+                }
+
+                resolve(hash);
+            });
+        });
+    });
+}
+
+/**
+ * Compares the text with a bcrypt hash.
+ *
+ * @param text The text (e.g. password) to check
+ * @param hash The hash to check against
+ * @returns {Promise} Resolves to true if the text matches the hash
+ */
+function bcompare(text, hash) {
+
+    return new Promise(function (resolve, reject) {
 
-        //Async
-        bcrypt.hash(text, salt, function (err, hash) {
+        bcrypt.compare(text, hash, function (err, same) {
 
             if (err) {
-                throw err;
+                reject(toError(err));
+                return;
             }
 
-            return hash;
+            resolve(same);
         });
     });
+}
+
+/**
+ * Whether a bcrypt hash was made with fewer rounds than are currently required.
+ * Typically checked after a successful login so that the password can be hashed
+ * again with the current work factor.
+ *
+ * @param hash The bcrypt hash
+ * @param workFactor (optional) Defaults to config.security.bcryptWorkFactor
+ * @returns {boolean}
+ */
+function needsRehash(hash, workFactor) {
+    var rounds = bcrypt.getRounds(hash);
+    return isNaN(rounds) || rounds < getWorkFactor(workFactor);
+}
+
+// -------------------------
+// PASSWORD HASHING
+// -------------------------
+
+//Password hashes are stored as self-describing strings in the PHC format, e.g.
+//
+//   $scrypt$ln=15,r=8,p=1$<salt>$<hash>
+//
+//so that a hash always says how it was made.  That lets us change algorithms or
+//costs over time and still verify older hashes, upgrading them as users log
+//in.  Each algorithm is registered with functions to identify, hash, verify
+//and check its own hashes.
+var passwordAlgorithms = {};
+
+var SCRYPT_SALT_LENGTH = 16;
+var SCRYPT_HASH_LENGTH = 32;
+
+//PHC strings use base64 without the padding.
+function toPHCBase64(buffer) {
+    return buffer.toString('base64').replace(/=+$/, '');
+}
+
+function parseScryptHash(hash) {
+
+    //['', 'scrypt', 'ln=15,r=8,p=1', salt, hash]
+    var parts = hash.split('$');
+    var params = {};
+
+    (parts[2] || '').split(',').forEach(function (param) {
+        var pair = param.split('=');
+        params[pair[0]] = parseInt(pair[1], 10);
+    });
+
+    return {
+        ln: params.ln,
+        r: params.r,
+        p: params.p,
+        salt: Buffer.from(parts[3] || '', 'base64'),
+        hash: Buffer.from(parts[4] || '', 'base64')
+    };
+}
+
+function scryptPromise(password, salt, keyLength, cost) {
+
+    var N = Math.pow(2, cost.ln);
+
+    return new Promise(function (resolve, reject) {
+
+        crypto.scrypt(password, salt, keyLength, {N: N, r: cost.r, p: cost.p, maxmem: 256 * N * cost.r}, function (err, key) {
+
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            resolve(key);
+        });
+    });
+}
+
+var scryptAlgorithm = {
+
+    isAvailable: function () {
+        return typeof crypto.scrypt === 'function';
+    },
+
+    identify: function (hash) {
+        return hash.indexOf('$scrypt$') === 0;
+    },
+
+    hash: function (password) {
+
+        var cost = config.security.scrypt;
+        var salt = crypto.randomBytes(SCRYPT_SALT_LENGTH);
+
+        return scryptPromise(password, salt, SCRYPT_HASH_LENGTH, cost)
+            .then(function (key) {
+                return '$scrypt$ln=' + cost.ln + ',r=' + cost.r + ',p=' + cost.p +
+                    '$' + toPHCBase64(salt) + '$' + toPHCBase64(key);
+            });
+    },
+
+    verify: function (password, hash) {
+
+        var parsed = parseScryptHash(hash);
+
+        if (!parsed.ln || !parsed.r || !parsed.p || parsed.hash.length === 0) {
+            return Promise.reject(new Error('invalid scrypt hash'));
+        }
+
+        return scryptPromise(password, parsed.salt, parsed.hash.length, parsed)
+            .then(function (key) {
+                return crypto.timingSafeEqual(key, parsed.hash);
+            });
+    },
+
+    needsUpgrade: function (hash) {
+        var parsed = parseScryptHash(hash);
+        var cost = config.security.scrypt;
+        return parsed.ln < cost.ln || parsed.r < cost.r || parsed.p < cost.p;
+    }
+};
+
+//argon2id is only available if the (native) argon2 module has been installed
+//by the service.
+var argon2;
+
+function getArgon2() {
+    if (argon2 === undefined) {
+        try {
+            argon2 = require('argon2');
+        } catch (e) {
+            argon2 = null;
+        }
+    }
+    return argon2;
+}
+
+var argon2idAlgorithm = {
+
+    isAvailable: function () {
+        return !!getArgon2();
+    },
+
+    identify: function (hash) {
+        return hash.indexOf('$argon2id$') === 0;
+    },
+
+    hash: function (password) {
+        return getArgon2().hash(password, {type: getArgon2().argon2id});
+    },
+
+    verify: function (password, hash) {
+        return getArgon2().verify(hash, password);
+    },
+
+    needsUpgrade: function (hash) {
+        return typeof getArgon2().needsRehash === 'function' && getArgon2().needsRehash(hash);
+    }
+};
+
+//Existing passwords are bcrypt hashes.  We can still verify them but new hashes
+//are never made with bcrypt.
+var bcryptAlgorithm = {
+
+    isAvailable: function () {
+        return true;
+    },
+
+    identify: function (hash) {
+        return /^\$2[aby]?\$/.test(hash);
+    },
+
+    hash: function (password) {
+        return bcryption(password);
+    },
+
+    verify: function (password, hash) {
+        return bcompare(password, hash);
+    },
+
+    needsUpgrade: function (hash) {
+        return needsRehash(hash);
+    }
+};
+
+/**
+ * Adds a password hashing algorithm.  The algorithm is an object with:
+ *
+ * - isAvailable(): whether it can be used in this process
+ * - identify(hash): whether the hash was made by this algorithm
+ * - hash(password): Promise resolving to a new (PHC format) hash
+ * - verify(password, hash): Promise resolving to whether the password matches
+ * - needsUpgrade(hash): whether the hash was made with weaker settings than the
+ *   current ones
+ *
+ * @param name The name used to select the algorithm in config.security.passwordAlgorithm
+ * @param algorithm
+ */
+function registerPasswordAlgorithm(name, algorithm) {
+    passwordAlgorithms[name] = algorithm;
+}
+
+registerPasswordAlgorithm('argon2id', argon2idAlgorithm);
+registerPasswordAlgorithm('scrypt', scryptAlgorithm);
+registerPasswordAlgorithm('bcrypt', bcryptAlgorithm);
+
+//The algorithms for new hashes, best first.  bcrypt is only used when neither of
+//the others is available.
+var PREFERRED_PASSWORD_ALGORITHMS = ['argon2id', 'scrypt', 'bcrypt'];
+
+//So the fallback is only logged the first time.
+var passwordFallbackLogged = false;
+
+/**
+ * The name of the algorithm used for new hashes.  That's the configured one if it
+ * can be used here.  Otherwise, it's the best one that can: argon2id, scrypt or,
+ * failing those, bcrypt.
+ *
+ * @returns {string}
+ */
+function getPasswordAlgorithm() {
+
+    var name = config.security.passwordAlgorithm;
+    var algorithm = passwordAlgorithms[name];
+
+    if (algorithm && algorithm.isAvailable()) {
+        return name;
+    }
+
+    var available = PREFERRED_PASSWORD_ALGORITHMS.find(function (preferred) {
+        return passwordAlgorithms[preferred].isAvailable();
+    });
+
+    if (name && !passwordFallbackLogged) {
+        passwordFallbackLogged = true;
+        var logger = require('./loggers').getLogger();
+        logger.warn('password algorithm', name, 'is not available, using', available);
+    }
+
+    return available;
+}
+
+function identifyPasswordAlgorithm(hash) {
+
+    if (typeof hash !== 'string') {
+        return;
+    }
+
+    return Object.keys(passwordAlgorithms).find(function (name) {
+        return passwordAlgorithms[name].identify(hash);
+    });
+}
+
+/**
+ * Hashes a password with the current password algorithm.
+ *
+ * @param password
+ * @returns {Promise} Resolves to the hash
+ */
+function hashPassword(password) {
+    return passwordAlgorithms[getPasswordAlgorithm()].hash(password);
+}
+
+/**
+ * Verifies a password against a hash made by any of the known algorithms,
+ * including older bcrypt hashes.
+ *
+ * @param password
+ * @param hash
+ * @returns {Promise} Resolves to true if the password matches
+ */
+function verifyPassword(password, hash) {
+
+    var name = identifyPasswordAlgorithm(hash);
+
+    if (!name) {
+        return Promise.reject(new Error('unknown password hash format'));
+    }
+
+    var algorithm = passwordAlgorithms[name];
+    if (!algorithm.isAvailable()) {
+        return Promise.reject(new Error('password hash algorithm not available: ' + name));
+    }
+
+    return algorithm.verify(password, hash);
+}
+
+/**
+ * Whether the hash should be replaced with a new one, either because it was made
+ * with a different algorithm than the current one or with weaker settings.
+ * The typical approach is to check this after verifying the password on login
+ * and, if true, store the result of hashPassword with the same password.
+ *
+ * @param hash
+ * @returns {boolean}
+ */
+function passwordNeedsUpgrade(hash) {
+
+    var name = identifyPasswordAlgorithm(hash);
+
+    if (name !== getPasswordAlgorithm()) {
+        return true;
+    }
 
+    return passwordAlgorithms[name].needsUpgrade(hash);
 }
 
 function md5(str, encoding) {
@@ -55,7 +704,19 @@ function md5(str, encoding) {
 
 exports.encrypt = encrypt;
 exports.decrypt = decrypt;
+exports.isLegacyEncrypted = isLegacyEncrypted;
+exports.parseEnvelope = parseEnvelope;
+exports.createKeyring = createKeyring;
+exports.loadKeyring = loadKeyring;
+exports.getKeyring = getKeyring;
 exports.bcryptionSync = bcryptionSync;
 exports.bcryption = bcryption;
 exports.bcompareSync = bcompareSync;
+exports.bcompare = bcompare;
+exports.needsRehash = needsRehash;
+exports.registerPasswordAlgorithm = registerPasswordAlgorithm;
+exports.getPasswordAlgorithm = getPasswordAlgorithm;
+exports.hashPassword = hashPassword;
+exports.verifyPassword = verifyPassword;
+exports.passwordNeedsUpgrade = passwordNeedsUpgrade;
 exports.md5 = md5;
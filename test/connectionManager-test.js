@@ -0,0 +1,219 @@
+var assert = require('assert');
+var MongoClient = require('mongodb').MongoClient;
+var ConnectionManager = require('../lib/connectionManager').ConnectionManager;
+
+
+describe('connectionManager', function () {
+
+    var connect = MongoClient.connect;
+    var connects;
+
+    //Each connect is answered by the next of these, a function(url) that returns
+    //a Promise for the client.  Without any, a client is made straight away.
+    var connectResults;
+
+    function fakeClient(url) {
+        return {
+            url: url,
+            closed: false,
+            db: function (name) {
+                return {databaseName: name};
+            },
+            close: function () {
+                this.closed = true;
+                return Promise.resolve();
+            }
+        };
+    }
+
+    //A connect that is only made once its resolve function is called.
+    function deferredConnect() {
+        var deferred = {};
+        deferred.connect = function (url) {
+            return new Promise(function (resolve) {
+                deferred.resolve = function () {
+                    resolve(fakeClient(url));
+                };
+            });
+        };
+        return deferred;
+    }
+
+    function createManager(options) {
+        return new ConnectionManager(Object.assign({
+            urlPrefix: 'mongodb://fake:27017/',
+            maxClients: 2
+        }, options));
+    }
+
+    beforeEach(function () {
+        connects = [];
+        connectResults = [];
+        MongoClient.connect = function (url) {
+            var result = connectResults.length > 0 ? connectResults.shift()(url) : Promise.resolve(fakeClient(url));
+            connects.push(url);
+            return result;
+        };
+    });
+
+    after(function () {
+        MongoClient.connect = connect;
+    });
+
+    it('evicts the least recently used and closes its pool', function () {
+
+        var closed = [];
+        var manager = createManager({
+            onClose: function (accountName) {
+                closed.push(accountName);
+            }
+        });
+        var clients = {};
+
+        function getClient(accountName) {
+            return manager.getMongoClient(accountName).then(function (client) {
+                clients[accountName] = client;
+            });
+        }
+
+        return getClient('one')
+            .then(function () {
+                return getClient('two');
+            })
+            .then(function () {
+                return getClient('one');
+            })
+            .then(function () {
+                return getClient('three');
+            })
+            .then(function () {
+                assert.deepEqual(closed, ['two']);
+                assert(clients.two.closed);
+                assert(!clients.one.closed);
+
+                var metrics = manager.getMetrics();
+                assert.equal(metrics.evictions, 1);
+                assert.equal(metrics.poolsOpened, 3);
+                assert.equal(metrics.poolsClosed, 1);
+                assert.equal(metrics.openPools, 2);
+            });
+    });
+
+    it('shared pool is not closed on eviction', function () {
+
+        var manager = createManager({shared: true, maxClients: 1});
+
+        return manager.getMongoClient('one')
+            .then(function () {
+                return manager.getMongoClient('two');
+            })
+            .then(function (client) {
+                assert.equal(connects.length, 1);
+                assert.equal(manager.getMetrics().evictions, 1);
+                assert(!client.closed);
+                return manager.closeAll().then(function () {
+                    assert(client.closed);
+                });
+            });
+    });
+
+    it('sweeps handles that have expired', function () {
+
+        var closed = [];
+        var manager = createManager({
+            clientExpiry: 60000,
+            onClose: function (accountName) {
+                closed.push(accountName);
+            }
+        });
+
+        return Promise.all([manager.getMongoClient('one'), manager.getMongoClient('two')])
+            .then(function (clients) {
+
+                manager.clients.peek('one').touched = Date.now() - 60000;
+                manager.sweep();
+
+                assert.deepEqual(closed, ['one']);
+                assert(clients[0].closed);
+                assert(!clients[1].closed);
+                assert.equal(manager.getMetrics().expired, 1);
+                assert.equal(manager.getMetrics().cached, 1);
+
+                return manager.closeAll();
+            })
+            .then(function () {
+                assert(!manager.sweeper);
+            });
+    });
+
+    it('callers share a connection being made', function () {
+
+        var deferred = deferredConnect();
+        connectResults.push(deferred.connect);
+
+        var manager = createManager();
+        var first = manager.getDatabase('one');
+        var second = manager.getDatabase('one');
+
+        assert.equal(manager.getMetrics().pending, 1);
+        deferred.resolve();
+
+        return Promise.all([first, second]).then(function (databases) {
+            assert.strictEqual(databases[0], databases[1]);
+            assert.equal(connects.length, 1);
+
+            var metrics = manager.getMetrics();
+            assert.equal(metrics.pendingJoins, 1);
+            assert.equal(metrics.pending, 0);
+        });
+    });
+
+    it('shared client is connected again after a failure', function () {
+
+        connectResults.push(function () {
+            return Promise.reject(new Error('connect failed'));
+        });
+
+        var manager = createManager({shared: true});
+
+        return manager.getDatabase('one')
+            .then(
+                function () {
+                    assert.fail('should not connect');
+                },
+                function (err) {
+                    assert.equal(err.message, 'connect failed');
+                    return manager.getDatabase('two');
+                })
+            .then(function (database) {
+                assert.equal(database.databaseName, 'two');
+                assert.equal(connects.length, 2);
+                assert.equal(manager.getMetrics().connectErrors, 1);
+            });
+    });
+
+    it('closeAll waits for connections being made', function () {
+
+        var deferred = deferredConnect();
+        connectResults.push(deferred.connect);
+
+        var manager = createManager();
+        var connecting = manager.getMongoClient('one');
+        var closedAll = false;
+
+        var closing = manager.closeAll().then(function () {
+            closedAll = true;
+        });
+
+        return Promise.resolve()
+            .then(function () {
+                assert(!closedAll);
+                deferred.resolve();
+                return Promise.all([connecting, closing]);
+            })
+            .then(function (results) {
+                assert(results[0].closed);
+                assert.equal(manager.getMetrics().openPools, 0);
+            });
+    });
+});
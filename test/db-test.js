@@ -0,0 +1,334 @@
+var config = require('../lib/config');
+config.env.hosts.db = 'localhost:27017';
+
+var assert = require('assert');
+var MongoClient = require('mongodb').MongoClient;
+var ConnectionManager = require('../lib/connectionManager').ConnectionManager;
+var db = require('../lib/db');
+
+
+describe('db', function () {
+
+    describe('without a callback', function () {
+
+        var connect = MongoClient.connect;
+        var clients = [];
+
+        before(function () {
+            MongoClient.connect = function (url) {
+
+                if (url.indexOf('dbfailing') >= 0) {
+                    return Promise.reject(new Error('connect failed'));
+                }
+
+                var client = {
+                    closed: false,
+                    db: function (name) {
+                        return {
+                            databaseName: name,
+                            collection: function (collectionName, options, cb) {
+                                cb(null, {collectionName: collectionName});
+                            }
+                        };
+                    },
+                    close: function () {
+                        client.closed = true;
+                        return Promise.resolve();
+                    }
+                };
+                clients.push(client);
+                return Promise.resolve(client);
+            };
+        });
+
+        after(function () {
+            MongoClient.connect = connect;
+        });
+
+        function fakeAccountDB(err) {
+            return {
+                dropCollection: function (collectionName, cb) {
+                    cb(err, err ? undefined : true);
+                }
+            };
+        }
+
+        it('resolves to the result', function () {
+            return db.dropCollection(fakeAccountDB(), 'dbcollection')
+                .then(function (result) {
+                    assert.strictEqual(result, true);
+                });
+        });
+
+        it('rejects with the error', function () {
+            return db.dropCollection(fakeAccountDB({errmsg: 'not authorized'}), 'dbcollection')
+                .then(
+                    function () {
+                        assert.fail('should not drop');
+                    },
+                    function (err) {
+                        assert.equal(err.errmsg, 'not authorized');
+                    });
+        });
+
+        it('callback is still called', function (done) {
+            var returned = db.dropCollection(fakeAccountDB({errmsg: 'ns not found'}), 'dbcollection', function (err) {
+                assert.ifError(err);
+                done();
+            });
+            assert.strictEqual(returned, undefined);
+        });
+
+        it('connects', function () {
+            return db.getClient('dbaccount')
+                .then(function (database) {
+                    assert.equal(database.databaseName, 'dbaccount');
+                });
+        });
+
+        it('rejects when it cannot connect', function () {
+            return db.getClient('dbfailing')
+                .then(
+                    function () {
+                        assert.fail('should not connect');
+                    },
+                    function (err) {
+                        assert.equal(err.message, 'connect failed');
+                    });
+        });
+
+        it('callback after a left out optional argument', function (done) {
+            var returned = db.getCappedCollection('dbaccount', 'dbrealm', 'dbcapped', function (err, coll) {
+                assert.ifError(err);
+                assert.equal(coll.collectionName, 'dbrealm.dbcapped');
+                done();
+            });
+            assert.strictEqual(returned, undefined);
+        });
+
+        it('shuts down', function () {
+            return db.shutdown()
+                .then(function () {
+                    assert(clients.length > 0);
+                    clients.forEach(function (client) {
+                        assert(client.closed);
+                    });
+                });
+        });
+
+        it('shutting down does not reject when closing fails', function () {
+
+            var closeAll = ConnectionManager.prototype.closeAll;
+            ConnectionManager.prototype.closeAll = function () {
+                return Promise.reject(new Error('close failed'));
+            };
+
+            return db.shutdown()
+                .then(
+                    function (result) {
+                        ConnectionManager.prototype.closeAll = closeAll;
+                        assert.strictEqual(result, undefined);
+                    },
+                    function (err) {
+                        ConnectionManager.prototype.closeAll = closeAll;
+                        throw err;
+                    });
+        });
+
+        it('shutting down passes the close error to the callback', function (done) {
+
+            var closeAll = ConnectionManager.prototype.closeAll;
+            ConnectionManager.prototype.closeAll = function () {
+                return Promise.reject(new Error('close failed'));
+            };
+
+            db.shutdown(function (err) {
+                ConnectionManager.prototype.closeAll = closeAll;
+                assert.equal(err.message, 'close failed');
+                done();
+            });
+        });
+    });
+
+    describe('withTransaction', function () {
+
+        var connect = MongoClient.connect;
+        var isMaster;
+        var session;
+
+        //Each commit is answered by the next of these errors, or succeeds.
+        var commitErrors;
+
+        function labelledError(label) {
+            var err = new Error(label);
+            err.errorLabels = [label];
+            return err;
+        }
+
+        beforeEach(function () {
+
+            isMaster = {setName: 'dbreplicas', maxWireVersion: 8};
+            commitErrors = [];
+
+            session = {
+                started: 0,
+                commits: 0,
+                aborts: 0,
+                ended: false,
+                startTransaction: function () {
+                    session.started++;
+                },
+                commitTransaction: function () {
+                    session.commits++;
+                    var err = commitErrors.shift();
+                    return err ? Promise.reject(err) : Promise.resolve();
+                },
+                abortTransaction: function () {
+                    session.aborts++;
+                    return Promise.resolve();
+                },
+                endSession: function () {
+                    session.ended = true;
+                }
+            };
+
+            MongoClient.connect = function () {
+                return Promise.resolve({
+                    db: function (name) {
+                        return {
+                            databaseName: name,
+                            admin: function () {
+                                return {
+                                    command: function () {
+                                        return Promise.resolve(isMaster);
+                                    }
+                                };
+                            }
+                        };
+                    },
+                    startSession: function () {
+                        return session;
+                    },
+                    close: function () {
+                        return Promise.resolve();
+                    }
+                });
+            };
+        });
+
+        after(function () {
+            MongoClient.connect = connect;
+            return db.shutdown();
+        });
+
+        it('not supported on a standalone server', function () {
+
+            //Whether transactions are supported is only asked once so this needs
+            //a db module of its own.
+            var dbPath = require.resolve('../lib/db');
+            var dbModule = require.cache[dbPath];
+            delete require.cache[dbPath];
+            var standaloneDb = require('../lib/db');
+            require.cache[dbPath] = dbModule;
+
+            isMaster = {ismaster: true, maxWireVersion: 8};
+            var ran = false;
+
+            return standaloneDb.withTransaction('dbstandalone', function () {
+                ran = true;
+            })
+                .then(
+                    function () {
+                        assert.fail('should not run');
+                    },
+                    function (err) {
+                        assert(err instanceof standaloneDb.TransactionsNotSupportedError);
+                        assert(!ran);
+                        assert.equal(session.started, 0);
+                        return standaloneDb.shutdown();
+                    });
+        });
+
+        it('callback without options', function (done) {
+            db.withTransaction('dbtransactions', function () {
+                return Promise.resolve('worked');
+            }, function (err, result) {
+                assert.ifError(err);
+                assert.equal(result, 'worked');
+                assert.equal(session.commits, 1);
+                assert(session.ended);
+                done();
+            });
+        });
+
+        it('transient errors run the work again', function () {
+
+            var runs = 0;
+
+            return db.withTransaction('dbtransactions', function () {
+                runs++;
+                if (runs < 3) {
+                    throw labelledError('TransientTransactionError');
+                }
+                return 'worked';
+            })
+                .then(function (result) {
+                    assert.equal(result, 'worked');
+                    assert.equal(runs, 3);
+                    assert.equal(session.aborts, 2);
+                    assert.equal(session.commits, 1);
+                });
+        });
+
+        it('gives up after maxRetries', function () {
+
+            var runs = 0;
+
+            return db.withTransaction('dbtransactions', function () {
+                runs++;
+                throw labelledError('TransientTransactionError');
+            }, {maxRetries: 1})
+                .then(
+                    function () {
+                        assert.fail('should not commit');
+                    },
+                    function (err) {
+                        assert.equal(err.message, 'TransientTransactionError');
+                        assert.equal(runs, 2);
+                        assert.equal(session.commits, 0);
+                        assert(session.ended);
+                    });
+        });
+
+        it('unknown commit result retries the commit', function () {
+
+            var runs = 0;
+            commitErrors.push(labelledError('UnknownTransactionCommitResult'));
+
+            return db.withTransaction('dbtransactions', function () {
+                runs++;
+            })
+                .then(function () {
+                    assert.equal(runs, 1);
+                    assert.equal(session.commits, 2);
+                });
+        });
+
+        it('failed work is aborted', function () {
+            return db.withTransaction('dbtransactions', function () {
+                throw new Error('work failed');
+            }, {})
+                .then(
+                    function () {
+                        assert.fail('should not commit');
+                    },
+                    function (err) {
+                        assert.equal(err.message, 'work failed');
+                        assert.equal(session.started, 1);
+                        assert.equal(session.aborts, 1);
+                        assert.equal(session.commits, 0);
+                        assert(session.ended);
+                    });
+        });
+    });
+});
@@ -0,0 +1,212 @@
+var config = require('../lib/config');
+config.env.hosts.db = 'localhost:27017';
+
+var assert = require('assert');
+var db = require('../lib/db');
+var indexes = require('../lib/indexes');
+
+
+describe('indexes', function () {
+
+    var realmName = 'indexesrealm';
+
+    //Just enough of a Db for the indexes to be created and checked.  Collections
+    //are {options, indexes, duplicates} by full name and creating an index whose
+    //name is in failIndexes fails.
+    function fakeDatabase(collections, failIndexes) {
+
+        var created = [];
+
+        return {
+            databaseName: 'indexesaccount',
+            created: created,
+            listCollections: function (filter) {
+                return {
+                    toArray: function (cb) {
+                        var coll = collections[filter.name];
+                        cb(null, coll ? [{name: filter.name, options: coll.options || {}}] : []);
+                    }
+                };
+            },
+            collection: function (name) {
+                return {
+                    createIndex: function (key, options, cb) {
+                        created.push(key);
+                        setImmediate(function () {
+                            if ((failIndexes || []).indexOf(options.name) >= 0) {
+                                cb(new Error('E11000 duplicate key error'));
+                                return;
+                            }
+                            cb();
+                        });
+                    },
+                    indexes: function (cb) {
+                        cb(null, collections[name].indexes);
+                    },
+                    aggregate: function () {
+                        return {
+                            toArray: function (cb) {
+                                cb(null, collections[name].duplicates || []);
+                            }
+                        };
+                    }
+                };
+            }
+        };
+    }
+
+    describe('ensureCollection', function () {
+
+        before(function () {
+            indexes.declareCollection('indexestest', {
+                indexes: [
+                    {collectionIndex: {code: 1}, name: 'code_1', unique: true},
+                    {collectionIndex: {expires: 1}, name: 'expires_1', expireAfterSeconds: 0}
+                ]
+            });
+        });
+
+        it('creates the other indexes when one fails', function (done) {
+
+            var database = fakeDatabase({}, ['code_1']);
+
+            indexes.ensureCollection(database, realmName, 'indexestest', function (err) {
+                assert(err);
+                assert.equal(err.failures.length, 1);
+                assert.equal(err.failures[0].index.name, 'code_1');
+                assert.deepEqual(database.created, [{code: 1}, {expires: 1}]);
+                done();
+            });
+        });
+
+        it('waits before trying again after a failure', function (done) {
+
+            var database = fakeDatabase({}, ['code_1']);
+
+            indexes.ensureCollection(database, realmName, 'indexestest', function (err) {
+                assert.ifError(err);
+                assert.equal(database.created.length, 0);
+                done();
+            });
+        });
+
+        it('creates the indexes once for callers that ask at the same time', function (done) {
+
+            var database = fakeDatabase({});
+            var finished = 0;
+
+            function ensured(err) {
+                assert.ifError(err);
+                finished++;
+                if (finished === 2) {
+                    assert.deepEqual(database.created, [{code: 1}, {expires: 1}]);
+
+                    indexes.ensureCollection(database, 'otherrealm', 'indexestest', function (err) {
+                        assert.ifError(err);
+                        assert.equal(database.created.length, 4);
+                        done();
+                    });
+                }
+            }
+
+            //ensureIndexes starts again, even after a failure.
+            var getConnection = db.getConnectionCurrentStrategy;
+            db.getConnectionCurrentStrategy = function (accountName, cb) {
+                db.getConnectionCurrentStrategy = getConnection;
+                cb(null, database);
+            };
+
+            indexes.ensureIndexes('indexesaccount', realmName, 'indexestest', ensured);
+            indexes.ensureCollection(database, realmName, 'indexestest', ensured);
+        });
+    });
+
+    describe('checkIndexes', function () {
+
+        var getConnection = db.getConnectionCurrentStrategy;
+
+        function useDatabase(database) {
+            db.getConnectionCurrentStrategy = function (accountName, cb) {
+                cb(null, database);
+            };
+        }
+
+        before(function () {
+            indexes.declareCollection('indexesdrift', {
+                indexes: [
+                    {collectionIndex: {code: 1}, unique: true},
+                    {collectionIndex: {time: 1}},
+                    {collectionIndex: {expires: 1}, expireAfterSeconds: 0}
+                ]
+            });
+        });
+
+        after(function () {
+            db.getConnectionCurrentStrategy = getConnection;
+        });
+
+        it('reports missing, unexpected and changed indexes', function (done) {
+
+            useDatabase(fakeDatabase({
+                'indexesrealm.indexesdrift': {
+                    indexes: [
+                        {name: '_id_', key: {_id: 1}},
+                        {name: 'code_1', key: {code: 1}},
+                        {name: 'expires_1', key: {expires: 1}, expireAfterSeconds: 0},
+                        {name: 'other_1', key: {other: 1}}
+                    ]
+                }
+            }));
+
+            indexes.checkIndexes('indexesaccount', realmName, ['indexesdrift'], function (err, reports) {
+
+                assert.ifError(err);
+
+                var report = reports[0];
+                assert.equal(report.ok, false);
+                assert.deepEqual(report.missing, [{collectionIndex: {time: 1}}]);
+                assert.deepEqual(report.unexpected.map(function (index) {
+                    return index.name;
+                }), ['other_1']);
+                assert.equal(report.changed.length, 1);
+                assert.deepEqual(report.changed[0].options, ['unique']);
+                assert(!report.duplicates);
+                done();
+            });
+        });
+
+        it('reports duplicates that keep a unique index from being created', function (done) {
+
+            useDatabase(fakeDatabase({
+                'indexesrealm.indexesdrift': {
+                    indexes: [
+                        {name: '_id_', key: {_id: 1}},
+                        {name: 'time_1', key: {time: 1}},
+                        {name: 'expires_1', key: {expires: 1}, expireAfterSeconds: 0}
+                    ],
+                    duplicates: [{_id: {k0: 'a'}, count: 2}]
+                }
+            }));
+
+            indexes.checkIndexes('indexesaccount', realmName, ['indexesdrift'], function (err, reports) {
+
+                assert.ifError(err);
+
+                var report = reports[0];
+                assert.equal(report.ok, false);
+                assert.deepEqual(report.duplicates, [{
+                    index: {collectionIndex: {code: 1}, unique: true},
+                    keys: [{key: {code: 'a'}, count: 2}]
+                }]);
+                done();
+            });
+        });
+
+        it('undeclared collection', function (done) {
+            indexes.checkIndexes('indexesaccount', realmName, ['indexesundeclared'], function (err) {
+                assert(err);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,628 @@
+var config = require('../lib/config');
+config.env.hosts.db = 'localhost:27017';
+
+var assert = require('assert');
+var db = require('../lib/db');
+var errors = require('../lib/errors');
+var lock = require('../lib/lock');
+
+
+describe('lock', function () {
+
+    var accountId = 'lockaccount';
+    var realmId = 'lockrealm';
+
+    function lockParams(lockId, extra) {
+        return Object.assign({
+            accountId: accountId,
+            realmId: realmId,
+            lockId: lockId,
+            owner: 'lock-test'
+        }, extra);
+    }
+
+    function release(params, done) {
+        params.releaseLock(function (err) {
+            done(err);
+        });
+    }
+
+    describe('exclusive', function () {
+
+        it('second lock fails fast', function (done) {
+
+            lock.lock(lockParams('exclusiveLock'), function (err, held) {
+
+                assert.ifError(err);
+
+                var started = Date.now();
+                lock.lock(lockParams('exclusiveLock'), function (err) {
+                    assert(err instanceof lock.LockError);
+                    assert(Date.now() - started < config.lock.retryDelay * 10);
+                    release(held, done);
+                });
+            });
+        });
+
+        it('released lock can be taken again', function (done) {
+
+            lock.lock(lockParams('relockLock'), function (err, held) {
+
+                assert.ifError(err);
+
+                held.releaseLock(function (err) {
+                    assert.ifError(err);
+                    lock.lock(lockParams('relockLock'), function (err, heldAgain) {
+                        assert.ifError(err);
+                        release(heldAgain, done);
+                    });
+                });
+            });
+        });
+    });
+
+    describe('acquireLock', function () {
+
+        it('waiter gets the lock once it is released', function (done) {
+
+            lock.lock(lockParams('handoffLock'), function (err, held) {
+
+                assert.ifError(err);
+
+                lock.acquireLock(lockParams('handoffLock', {waitTimeout: 5000}), function (err, waited) {
+                    assert.ifError(err);
+                    release(waited, done);
+                });
+
+                setTimeout(function () {
+                    held.releaseLock(function (err) {
+                        assert.ifError(err);
+                    });
+                }, 100);
+            });
+        });
+
+        it('waiter times out', function (done) {
+
+            lock.lock(lockParams('timeoutLock'), function (err, held) {
+
+                assert.ifError(err);
+
+                var started = Date.now();
+                lock.acquireLock(lockParams('timeoutLock', {waitTimeout: 200}), function (err) {
+                    assert(err instanceof lock.LockError);
+                    assert.equal(err.message, 'timed out waiting for lock');
+                    assert(Date.now() - started >= 200);
+                    release(held, done);
+                });
+            });
+        });
+
+        it('waitTimeout of 0 takes a free lock', function (done) {
+            lock.acquireLock(lockParams('noWaitLock', {waitTimeout: 0}), function (err, held) {
+                assert.ifError(err);
+                release(held, done);
+            });
+        });
+
+        it('waitTimeout of 0 does not wait for a held lock', function (done) {
+
+            lock.lock(lockParams('noWaitHeldLock'), function (err, held) {
+
+                assert.ifError(err);
+
+                lock.acquireLock(lockParams('noWaitHeldLock', {waitTimeout: 0}), function (err) {
+                    assert(err instanceof lock.LockError);
+                    assert.equal(err.message, 'failed to acquire lock');
+                    release(held, done);
+                });
+            });
+        });
+
+        it('waiter is cancelled', function (done) {
+
+            lock.lock(lockParams('cancelLock'), function (err, held) {
+
+                assert.ifError(err);
+
+                var waiting = lock.acquireLock(lockParams('cancelLock', {waitTimeout: 5000}), function (err) {
+                    assert(err instanceof lock.LockError);
+                    assert.equal(err.message, 'cancelled waiting for lock');
+                    release(held, done);
+                });
+
+                setTimeout(waiting.cancel, 50);
+            });
+        });
+
+        it('waiters are served in the order they asked', function (done) {
+
+            lock.lock(lockParams('orderLock'), function (err, held) {
+
+                assert.ifError(err);
+
+                var served = [];
+
+                function waitFor(name) {
+                    lock.acquireLock(lockParams('orderLock', {waitTimeout: 5000}), function (err, waited) {
+                        assert.ifError(err);
+                        served.push(name);
+                        waited.releaseLock(function (err) {
+                            assert.ifError(err);
+                            if (served.length === 3) {
+                                assert.deepEqual(served, ['first', 'second', 'third']);
+                                done();
+                            }
+                        });
+                    });
+                }
+
+                waitFor('first');
+                waitFor('second');
+                waitFor('third');
+
+                setTimeout(function () {
+                    release(held, function (err) {
+                        assert.ifError(err);
+                    });
+                }, 50);
+            });
+        });
+
+        it('release wakes the waiter right away', function (done) {
+
+            var maxRetryDelay = config.lock.maxRetryDelay;
+            var retryDelay = config.lock.retryDelay;
+            config.lock.retryDelay = 2000;
+            config.lock.maxRetryDelay = 2000;
+
+            function restore(err) {
+                config.lock.retryDelay = retryDelay;
+                config.lock.maxRetryDelay = maxRetryDelay;
+                done(err);
+            }
+
+            lock.lock(lockParams('wakeLock'), function (err, held) {
+
+                assert.ifError(err);
+
+                var released;
+                lock.acquireLock(lockParams('wakeLock', {waitTimeout: 5000}), function (err, waited) {
+                    assert.ifError(err);
+                    assert(Date.now() - released < 500);
+                    release(waited, restore);
+                });
+
+                setTimeout(function () {
+                    released = Date.now();
+                    release(held, function (err) {
+                        assert.ifError(err);
+                    });
+                }, 100);
+            });
+        });
+    });
+
+    describe('withLock', function () {
+
+        function assertReleased(lockId) {
+            return new Promise(function (resolve, reject) {
+                lock.getLock(accountId, realmId, lockId, function (err, lockInfo) {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    assert(!lockInfo);
+                    resolve();
+                });
+            });
+        }
+
+        //Has the release go through but report that it failed.
+        function failRelease(held) {
+            var releaseLock = held.releaseLock;
+            held.releaseLock = function (cb) {
+                releaseLock(function () {
+                    cb(new Error('lock db delete error'));
+                });
+            };
+        }
+
+        it('passes the result through', function () {
+            return lock.withLock(lockParams('withLockResult'), function (held) {
+                assert.equal(held.lockId, 'withLockResult');
+                return Promise.resolve('worked');
+            })
+                .then(function (result) {
+                    assert.equal(result, 'worked');
+                    return assertReleased('withLockResult');
+                });
+        });
+
+        it('releases when the work throws', function () {
+            return lock.withLock(lockParams('withLockThrow'), function () {
+                throw new Error('work failed');
+            })
+                .then(
+                    function () {
+                        assert.fail('should not succeed');
+                    },
+                    function (err) {
+                        assert.equal(err.message, 'work failed');
+                        assert(!err.releaseError);
+                        return assertReleased('withLockThrow');
+                    });
+        });
+
+        it('releases when the work rejects', function () {
+            return lock.withLock(lockParams('withLockReject'), function () {
+                return Promise.reject(new Error('work failed'));
+            })
+                .then(
+                    function () {
+                        assert.fail('should not succeed');
+                    },
+                    function (err) {
+                        assert.equal(err.message, 'work failed');
+                        return assertReleased('withLockReject');
+                    });
+        });
+
+        it('fails when the lock is held', function (done) {
+
+            lock.lock(lockParams('withLockHeld'), function (err, held) {
+
+                assert.ifError(err);
+
+                var ran = false;
+                lock.withLock(lockParams('withLockHeld'), function () {
+                    ran = true;
+                })
+                    .then(
+                        function () {
+                            assert.fail('should not succeed');
+                        },
+                        function (err) {
+                            assert(err instanceof lock.LockError);
+                            assert(!ran);
+                            release(held, done);
+                        })
+                    .catch(done);
+            });
+        });
+
+        it('reports a failed release separately', function () {
+            return lock.withLock(lockParams('withLockRelease'), function (held) {
+                failRelease(held);
+                return 'worked';
+            })
+                .then(
+                    function () {
+                        assert.fail('should not succeed');
+                    },
+                    function (err) {
+                        assert(err instanceof lock.LockReleaseError);
+                        assert.equal(err.result, 'worked');
+                        assert.equal(err.cause.message, 'lock db delete error');
+                    });
+        });
+
+        it('attaches the release error to the work error', function () {
+            return lock.withLock(lockParams('withLockBoth'), function (held) {
+                failRelease(held);
+                throw new Error('work failed');
+            })
+                .then(
+                    function () {
+                        assert.fail('should not succeed');
+                    },
+                    function (err) {
+                        assert.equal(err.message, 'work failed');
+                        assert.equal(err.releaseError.message, 'lock db delete error');
+                    });
+        });
+    });
+
+    describe('lockAll', function () {
+
+        it('releases partial locks on failure', function (done) {
+
+            //lockAll takes the ids in sorted order so 'lockAllA' is held by the
+            //time it fails on 'lockAllB'.
+            lock.lock(lockParams('lockAllB'), function (err, held) {
+
+                assert.ifError(err);
+
+                lock.lockAll(lockParams(undefined), ['lockAllB', 'lockAllA'], function (err) {
+
+                    assert(err instanceof lock.LockError);
+
+                    lock.getLock(accountId, realmId, 'lockAllA', function (err, lockInfo) {
+                        assert.ifError(err);
+                        assert(!lockInfo);
+                        release(held, done);
+                    });
+                });
+            });
+        });
+
+        it('locks all of them', function (done) {
+
+            lock.lockAll(lockParams(undefined), ['lockAllC', 'lockAllD'], function (err, held) {
+
+                assert.ifError(err);
+                assert.equal(held.locks.length, 2);
+
+                lock.lock(lockParams('lockAllD'), function (err) {
+                    assert(err instanceof lock.LockError);
+                    release(held, done);
+                });
+            });
+        });
+
+        it('locks in sorted order and releases them together', function (done) {
+
+            lock.lockAll(lockParams(undefined), ['lockAllG', 'lockAllE', 'lockAllG', 'lockAllF'], function (err, held) {
+
+                assert.ifError(err);
+                assert.deepEqual(held.locks.map(function (heldLock) {
+                    return heldLock.lockId;
+                }), ['lockAllE', 'lockAllF', 'lockAllG']);
+
+                held.releaseLock(function (err) {
+
+                    assert.ifError(err);
+
+                    lock.listLocks(accountId, realmId, function (err, locks) {
+                        assert.ifError(err);
+                        assert.deepEqual(locks.filter(function (lockInfo) {
+                            return ['lockAllE', 'lockAllF', 'lockAllG'].indexOf(lockInfo.lockId) >= 0;
+                        }), []);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('opposite orders do not deadlock', function (done) {
+
+            var finished = 0;
+
+            function lockBoth(lockIds) {
+                lock.lockAll(lockParams(undefined, {waitTimeout: 5000}), lockIds, function (err, held) {
+                    assert.ifError(err);
+                    setTimeout(function () {
+                        held.releaseLock(function (err) {
+                            assert.ifError(err);
+                            finished++;
+                            if (finished === 2) {
+                                done();
+                            }
+                        });
+                    }, 50);
+                });
+            }
+
+            lockBoth(['lockAllX', 'lockAllY']);
+            lockBoth(['lockAllY', 'lockAllX']);
+        });
+    });
+
+    describe('shared', function () {
+
+        it('readers coexist while a writer is blocked', function (done) {
+
+            lock.lock(lockParams('sharedLock', {mode: lock.SHARED}), function (err, firstReader) {
+
+                assert.ifError(err);
+
+                lock.lock(lockParams('sharedLock', {mode: lock.SHARED}), function (err, secondReader) {
+
+                    assert.ifError(err);
+
+                    lock.lock(lockParams('sharedLock'), function (err) {
+
+                        assert(err instanceof lock.LockError);
+
+                        firstReader.releaseLock(function (err) {
+
+                            assert.ifError(err);
+
+                            //Still held by the second reader.
+                            lock.lock(lockParams('sharedLock'), function (err) {
+
+                                assert(err instanceof lock.LockError);
+
+                                secondReader.releaseLock(function (err) {
+
+                                    assert.ifError(err);
+
+                                    lock.lock(lockParams('sharedLock'), function (err, writer) {
+                                        assert.ifError(err);
+                                        release(writer, done);
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        it('waiting writer gets the lock once the readers drain', function (done) {
+
+            lock.lock(lockParams('drainLock', {mode: lock.SHARED}), function (err, reader) {
+
+                assert.ifError(err);
+
+                lock.acquireLock(lockParams('drainLock', {waitTimeout: 5000}), function (err, writer) {
+                    assert.ifError(err);
+                    assert.equal(writer.mode, lock.EXCLUSIVE);
+                    release(writer, done);
+                });
+
+                setTimeout(function () {
+                    release(reader, function (err) {
+                        assert.ifError(err);
+                    });
+                }, 100);
+            });
+        });
+
+        it('new readers are turned away while a writer waits', function (done) {
+
+            lock.lock(lockParams('starveLock', {mode: lock.SHARED}), function (err, reader) {
+
+                assert.ifError(err);
+
+                var waiting = lock.acquireLock(lockParams('starveLock', {waitTimeout: 5000}), function (err) {
+                    assert(err instanceof lock.LockError);
+                    release(reader, done);
+                });
+
+                //Give the writer time to mark itself as waiting.
+                setTimeout(function () {
+                    lock.lock(lockParams('starveLock', {mode: lock.SHARED}), function (err) {
+                        assert(err instanceof lock.LockError);
+                        waiting.cancel();
+                    });
+                }, 100);
+            });
+        });
+
+        it('readers are blocked by a writer', function (done) {
+
+            lock.lock(lockParams('writerLock'), function (err, writer) {
+
+                assert.ifError(err);
+
+                lock.lock(lockParams('writerLock', {mode: lock.SHARED}), function (err) {
+                    assert(err instanceof lock.LockError);
+                    release(writer, done);
+                });
+            });
+        });
+    });
+
+    describe('introspection', function () {
+
+        it('lists the locks', function (done) {
+
+            lock.lock(lockParams('listExclusive', {owner: 'listOwner'}), function (err, writer) {
+
+                assert.ifError(err);
+
+                lock.lock(lockParams('listShared', {mode: lock.SHARED, owner: 'listReader'}), function (err, reader) {
+
+                    assert.ifError(err);
+
+                    lock.listLocks(accountId, realmId, function (err, locks) {
+
+                        assert.ifError(err);
+
+                        var exclusive = locks.find(function (lockInfo) {
+                            return lockInfo.lockId === 'listExclusive';
+                        });
+                        assert.equal(exclusive.mode, lock.EXCLUSIVE);
+                        assert.equal(exclusive.owner, 'listOwner');
+                        assert(exclusive.age >= 0);
+                        assert.equal(exclusive.expired, false);
+                        assert(!exclusive.token);
+
+                        var shared = locks.find(function (lockInfo) {
+                            return lockInfo.lockId === 'listShared';
+                        });
+                        assert.equal(shared.mode, lock.SHARED);
+                        assert.deepEqual(shared.owner, ['listReader']);
+                        assert.equal(shared.readers.length, 1);
+                        assert(!shared.readers[0].token);
+
+                        release(writer, function (err) {
+                            assert.ifError(err);
+                            release(reader, done);
+                        });
+                    });
+                });
+            });
+        });
+
+        it('gets a single lock', function (done) {
+
+            lock.lock(lockParams('getLockHeld', {owner: 'getOwner'}), function (err, held) {
+
+                assert.ifError(err);
+
+                lock.getLock(accountId, realmId, 'getLockHeld', function (err, lockInfo) {
+
+                    assert.ifError(err);
+                    assert.equal(lockInfo.lockId, 'getLockHeld');
+                    assert.equal(lockInfo.owner, 'getOwner');
+
+                    release(held, function (err) {
+                        assert.ifError(err);
+                        lock.getLock(accountId, realmId, 'getLockHeld', function (err, lockInfo) {
+                            assert.ifError(err);
+                            assert.strictEqual(lockInfo, null);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+
+        it('force release is audited and the holder loses its lease', function (done) {
+
+            lock.lock(lockParams('forceLock', {owner: 'stuckOwner'}), function (err, held) {
+
+                assert.ifError(err);
+
+                var forceParams = {
+                    accountId: accountId,
+                    realmId: realmId,
+                    lockId: 'forceLock',
+                    username: 'lockadmin',
+                    reason: 'stuck ' + Date.now()
+                };
+
+                lock.forceReleaseLock(forceParams, function (err, description) {
+
+                    assert.ifError(err);
+                    assert.equal(description.lockId, 'forceLock');
+                    assert.equal(description.owner, 'stuckOwner');
+
+                    held.renewLock(function (err) {
+
+                        assert(err instanceof lock.LockError);
+
+                        db.getCollection(accountId, config.auditLoggerSettings.fixedRealm,
+                            config.auditLoggerSettings.collection, function (err, coll) {
+
+                                assert.ifError(err);
+
+                                //Audit records are kept between runs so look for this one.
+                                var message = 'lock force released: forceLock (' + forceParams.reason + ')';
+
+                                coll.find({message: message}).toArray(function (err, records) {
+                                    assert.ifError(err);
+                                    assert.equal(records.length, 1);
+                                    assert.equal(records[0].username, 'lockadmin');
+                                    assert.equal(records[0].realmName, realmId);
+                                    assert.equal(records[0].lock.owner, 'stuckOwner');
+                                    done();
+                                });
+                            });
+                    });
+                });
+            });
+        });
+
+        it('force release of a lock that is not held', function (done) {
+
+            lock.forceReleaseLock({accountId: accountId, realmId: realmId, lockId: 'notHeldLock'}, function (err) {
+                assert(err instanceof errors.NotFoundError);
+                assert.equal(err.message, 'lockNotFound');
+                done();
+            });
+        });
+    });
+});
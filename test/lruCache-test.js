@@ -0,0 +1,54 @@
+var assert = require('assert');
+var LRUCache = require('../lib/lruCache').LRUCache;
+
+
+describe('lruCache', function () {
+
+    it('evicts the least recently used', function () {
+
+        var evicted = [];
+        var cache = new LRUCache(2, function (key, value) {
+            evicted.push([key, value]);
+        });
+
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+
+        assert.deepEqual(evicted, [['b', 2]]);
+        assert.deepEqual(cache.keys(), ['a', 'c']);
+        assert.equal(cache.getStats().evictions, 1);
+    });
+
+    it('peek does not count as use', function () {
+
+        var cache = new LRUCache(2);
+
+        cache.set('a', 1);
+        cache.set('b', 2);
+        assert.equal(cache.peek('a'), 1);
+        cache.set('c', 3);
+
+        assert(!cache.has('a'));
+        assert.deepEqual(cache.getStats(), {size: 2, maxEntries: 2, hits: 0, misses: 0, evictions: 1});
+    });
+
+    it('expired entries are missing', function (done) {
+
+        var cache = new LRUCache(2);
+
+        cache.set('a', 1, 20);
+        cache.set('b', 2);
+        assert.equal(cache.get('a'), 1);
+
+        setTimeout(function () {
+            assert.equal(cache.peek('a'), undefined);
+            assert(!cache.has('a'));
+            assert.equal(cache.get('a'), undefined);
+            assert.equal(cache.get('b'), 2);
+            assert.deepEqual(cache.getStats(), {size: 1, maxEntries: 2, hits: 2, misses: 1, evictions: 0});
+            done();
+        }, 40);
+    });
+});
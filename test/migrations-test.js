@@ -0,0 +1,62 @@
+var config = require('../lib/config');
+config.env.hosts.db = 'localhost:27017';
+
+var assert = require('assert');
+var migrations = require('../lib/migrations');
+
+
+describe('migrations', function () {
+
+    describe('getSteps', function () {
+
+        function noop(context, cb) {
+            cb();
+        }
+
+        function getStepIds(appliedIds, options) {
+            return migrations.getSteps(appliedIds, options).map(function (migration) {
+                return migration.id;
+            });
+        }
+
+        before(function () {
+            ['stepsOne', 'stepsTwo', 'stepsThree'].forEach(function (id) {
+                migrations.registerMigration({id: id, up: noop, down: noop});
+            });
+        });
+
+        it('up runs the ones not applied', function () {
+            assert.deepEqual(getStepIds(['stepsOne'], {direction: migrations.UP}), ['stepsTwo', 'stepsThree']);
+        });
+
+        it('up stops at to', function () {
+            assert.deepEqual(getStepIds([], {direction: migrations.UP, to: 'stepsTwo'}), ['stepsOne', 'stepsTwo']);
+        });
+
+        it('down only reverts the newest', function () {
+            assert.deepEqual(getStepIds(['stepsOne', 'stepsTwo'], {direction: migrations.DOWN}), ['stepsTwo']);
+        });
+
+        it('down reverts the ones after to, newest first', function () {
+            assert.deepEqual(getStepIds(['stepsOne', 'stepsTwo', 'stepsThree'], {direction: migrations.DOWN, to: 'stepsOne'}),
+                ['stepsThree', 'stepsTwo']);
+        });
+
+        it('nothing to do', function () {
+            assert.deepEqual(getStepIds(['stepsOne', 'stepsTwo', 'stepsThree'], {direction: migrations.UP}), []);
+            assert.deepEqual(getStepIds([], {direction: migrations.DOWN}), []);
+        });
+
+        it('unknown applied ids', function () {
+            assert.throws(function () {
+                migrations.getSteps(['stepsOne', 'stepsGone'], {direction: migrations.UP});
+            }, /applied migrations are not registered: stepsGone/);
+        });
+
+        it('unknown to', function () {
+            assert.throws(function () {
+                migrations.getSteps([], {direction: migrations.UP, to: 'stepsGone'});
+            }, /unknown migration: stepsGone/);
+        });
+    });
+});
@@ -1,8 +1,14 @@
 var config = require('../lib/config');
 config.env.hosts.db = 'localhost:27017';
 
+//Set SCOPES_BACKEND=memory to run these tests without a database.
+if (process.env.SCOPES_BACKEND) {
+    config.scopes.backends.default = process.env.SCOPES_BACKEND;
+}
+
 var assert = require('assert');
 var scopes = require('../lib/scopes');
+var scopeBackends = require('../lib/scopeBackends');
 
 
 describe('scopes', function () {
@@ -132,4 +138,734 @@ describe('scopes', function () {
 
     });
 
+    describe('lifetime', function () {
+
+        var lifetimeScopeId = "lifetimeId";
+        var scope;
+
+        before(function () {
+            return scopes.getScope(accountId, realmId, lifetimeScopeId, scopes.TRANSACTION_LAST_ACCESSED)
+                .then(
+                    function (theScope) {
+                        scope = theScope;
+                        return scope.invalidate();
+                    });
+        });
+
+        it('no creation time before first write', function () {
+            return scope.getCreationTime()
+                .then(
+                    function (created) {
+                        assert(!created);
+                    });
+        });
+
+        it('creation and last accessed time', function () {
+            return scope.setAttribute(testAttributeKey, testAttributeValue)
+                .then(
+                    function () {
+                        return Promise.all([scope.getCreationTime(), scope.getLastAccessedTime()]);
+                    })
+                .then(
+                    function (times) {
+                        assert(times[0] instanceof Date);
+                        assert(times[1] instanceof Date);
+                        assert(times[1].getTime() >= times[0].getTime());
+                    });
+        });
+
+        it('default max inactive interval', function () {
+            return scope.getMaxInactiveInterval()
+                .then(
+                    function (interval) {
+                        assert.strictEqual(interval, config.scopes.maxInactiveIntervals[scopes.TRANSACTION_LAST_ACCESSED]);
+                    });
+        });
+
+        it('expires after max inactive interval', function () {
+            return scope.setMaxInactiveInterval(1)
+                .then(
+                    function () {
+                        return new Promise(function (resolve) {
+                            setTimeout(resolve, 1100);
+                        });
+                    })
+                .then(
+                    function () {
+                        return scope.getAttribute(testAttributeKey);
+                    })
+                .then(
+                    function (noValue) {
+                        assert(!noValue);
+                    });
+        });
+
+        it('write after expiry starts a new scope', function () {
+            return scope.setAttribute(anotherAttributeKey, anotherAttributeValue)
+                .then(
+                    function () {
+                        return Promise.all([
+                            scope.getAttribute(testAttributeKey),
+                            scope.getAttribute(anotherAttributeKey),
+                            scope.getMaxInactiveInterval()
+                        ]);
+                    })
+                .then(
+                    function (values) {
+                        assert(!values[0]);
+                        assert.strictEqual(values[1], anotherAttributeValue);
+                        assert.strictEqual(values[2], config.scopes.maxInactiveIntervals[scopes.TRANSACTION_LAST_ACCESSED]);
+                    });
+        });
+
+    });
+
+    describe('atomic', function () {
+
+        var realmBarrel = {
+            accountId: accountId,
+            realmId: realmId
+        };
+
+        before(function () {
+            return scopes.invalidateRealm(realmBarrel);
+        });
+
+        it('increment', function () {
+            return scopes.incrementRealmAttribute(realmBarrel, 'counter')
+                .then(
+                    function (value) {
+                        assert.strictEqual(value, 1);
+                        return scopes.incrementRealmAttribute(realmBarrel, 'counter', 5);
+                    })
+                .then(
+                    function (value) {
+                        assert.strictEqual(value, 6);
+                    });
+        });
+
+        it('compare and set', function () {
+            return scopes.compareAndSetRealmAttribute(realmBarrel, 'counter', 1, 10)
+                .then(
+                    function (set) {
+                        assert.strictEqual(set, false);
+                        return scopes.compareAndSetRealmAttribute(realmBarrel, 'counter', 6, 10);
+                    })
+                .then(
+                    function (set) {
+                        assert.strictEqual(set, true);
+                        return scopes.getRealmAttribute(realmBarrel, 'counter');
+                    })
+                .then(
+                    function (value) {
+                        assert.strictEqual(value, 10);
+                    });
+        });
+
+        it('set if absent', function () {
+            return scopes.setRealmAttributeIfAbsent(realmBarrel, 'counter', 1)
+                .then(
+                    function (set) {
+                        assert.strictEqual(set, false);
+                        return scopes.setRealmAttributeIfAbsent(realmBarrel, testAttributeKey, testAttributeValue);
+                    })
+                .then(
+                    function (set) {
+                        assert.strictEqual(set, true);
+                    });
+        });
+
+        it('append and remove', function () {
+            return scopes.appendRealmAttribute(realmBarrel, 'list', 'a')
+                .then(
+                    function () {
+                        return scopes.appendRealmAttribute(realmBarrel, 'list', 'b');
+                    })
+                .then(
+                    function (list) {
+                        assert.deepEqual(list, ['a', 'b']);
+                        return scopes.removeFromRealmAttribute(realmBarrel, 'list', 'a');
+                    })
+                .then(
+                    function (list) {
+                        assert.deepEqual(list, ['b']);
+                    });
+        });
+
+        it('compare and set matches whole values', function () {
+            return scopes.compareAndSetRealmAttribute(realmBarrel, 'list', 'b', {op: 1})
+                .then(
+                    function (set) {
+                        //The array holds 'b' but isn't 'b'.
+                        assert.strictEqual(set, false);
+                        return scopes.compareAndSetRealmAttribute(realmBarrel, 'list', ['b'], {op: 1});
+                    })
+                .then(
+                    function (set) {
+                        assert.strictEqual(set, true);
+                        //An expected object isn't read as query operators.
+                        return scopes.compareAndSetRealmAttribute(realmBarrel, 'list', {$exists: true}, 'x');
+                    })
+                .then(
+                    function (set) {
+                        assert.strictEqual(set, false);
+                        return scopes.compareAndSetRealmAttribute(realmBarrel, 'list', {op: 1}, 'x');
+                    })
+                .then(
+                    function (set) {
+                        assert.strictEqual(set, true);
+                    });
+        });
+
+        it('failed compare and set creates nothing', function () {
+
+            var casBarrel = {
+                accountId: accountId,
+                realmId: realmId,
+                req: {
+                    headers: {
+                        "com.icesoft.services.transaction.id": 'casTransactionId'
+                    }
+                }
+            };
+
+            return scopes.invalidateTransaction(casBarrel)
+                .then(
+                    function () {
+                        return scopes.compareAndSetTransactionAttribute(casBarrel, 'counter', 1, 2);
+                    })
+                .then(
+                    function (set) {
+                        assert.strictEqual(set, false);
+                        return scopes.getScopesDirectory(accountId, realmId);
+                    })
+                .then(
+                    function (allScopes) {
+                        assert(!allScopes.some(function (scope) {
+                            return scope._scopeId === 'casTransactionId';
+                        }));
+                        return scopes.setTransactionAttributeIfAbsent(casBarrel, 'counter', 1);
+                    })
+                .then(
+                    function (set) {
+                        assert.strictEqual(set, true);
+                        return scopes.getTransactionAttribute(casBarrel, 'counter');
+                    })
+                .then(
+                    function (value) {
+                        assert.strictEqual(value, 1);
+                    });
+        });
+
+    });
+
+    describe('resolve', function () {
+
+        var userBarrel = {
+            accountId: accountId,
+            realmId: realmId,
+            username: 'scopesuser'
+        };
+
+        before(function () {
+            return Promise.all([scopes.invalidateUser(userBarrel), scopes.invalidateRealm(userBarrel)])
+                .then(
+                    function () {
+                        return scopes.setRealmAttribute(userBarrel, testAttributeKey, 'realmDefault');
+                    });
+        });
+
+        it('falls back to realm', function () {
+            return scopes.resolveAttribute(userBarrel, testAttributeKey, ['user', 'realm'])
+                .then(
+                    function (resolved) {
+                        assert.deepEqual(resolved, {scope: 'realm', value: 'realmDefault'});
+                    });
+        });
+
+        it('prefers user', function () {
+            return scopes.setUserAttribute(userBarrel, testAttributeKey, 'userValue')
+                .then(
+                    function () {
+                        return scopes.resolveAttribute(userBarrel, testAttributeKey, ['user', 'realm']);
+                    })
+                .then(
+                    function (resolved) {
+                        assert.deepEqual(resolved, {scope: 'user', value: 'userValue'});
+                    });
+        });
+
+        it('not found', function () {
+            return scopes.resolveAttribute(userBarrel, 'missingAttributeKey', ['user', 'realm'])
+                .then(
+                    function (resolved) {
+                        assert(!resolved);
+                    });
+        });
+
+    });
+
+    describe('cache', function () {
+
+        var realmBarrel = {
+            accountId: accountId,
+            realmId: realmId
+        };
+
+        before(function () {
+            config.scopes.cache.enabled = true;
+            scopes.clearScopeCache();
+            return scopes.setRealmAttribute(realmBarrel, testAttributeKey, testAttributeValue);
+        });
+
+        after(function () {
+            config.scopes.cache.enabled = false;
+            scopes.clearScopeCache();
+        });
+
+        it('cached after first read', function () {
+            var hits = scopes.getScopeCacheStats().hits;
+            return scopes.getRealmAttribute(realmBarrel, testAttributeKey)
+                .then(
+                    function () {
+                        return scopes.getRealmAttribute(realmBarrel, testAttributeKey);
+                    })
+                .then(
+                    function (getValue) {
+                        assert.strictEqual(getValue, testAttributeValue);
+                        assert.equal(scopes.getScopeCacheStats().hits, hits + 1);
+                    });
+        });
+
+        it('write invalidates', function () {
+            return scopes.setRealmAttribute(realmBarrel, testAttributeKey, anotherAttributeValue)
+                .then(
+                    function () {
+                        return scopes.getRealmAttribute(realmBarrel, testAttributeKey);
+                    })
+                .then(
+                    function (getValue) {
+                        assert.strictEqual(getValue, anotherAttributeValue);
+                    });
+        });
+
+    });
+
+    describe('watch', function () {
+
+        var realmBarrel = {
+            accountId: accountId,
+            realmId: realmId
+        };
+
+        var pollInterval = config.scopes.watch.pollInterval;
+        var watcher;
+
+        before(function () {
+            config.scopes.watch.pollInterval = 100;
+            return scopes.invalidateRealm(realmBarrel);
+        });
+
+        after(function () {
+            config.scopes.watch.pollInterval = pollInterval;
+            if (watcher) {
+                watcher.close();
+            }
+        });
+
+        it('sees changed attribute', function (done) {
+
+            watcher = scopes.watch(accountId, realmId, '_realm_' + realmId, [testAttributeKey], function (change) {
+                assert.equal(change.key, testAttributeKey);
+                assert.strictEqual(change.oldValue, undefined);
+                assert.strictEqual(change.newValue, testAttributeValue);
+                watcher.close();
+                done();
+            });
+
+            //Give the watcher a chance to read the scope before changing it.
+            setTimeout(function () {
+                scopes.setRealmAttribute(realmBarrel, anotherAttributeKey, anotherAttributeValue)
+                    .then(
+                        function () {
+                            return scopes.setRealmAttribute(realmBarrel, testAttributeKey, testAttributeValue);
+                        })
+                    .catch(done);
+            }, 50);
+        });
+
+    });
+
+    describe('custom', function () {
+
+        var customBarrel = {
+            accountId: accountId,
+            realmId: realmId
+        };
+
+        var scope;
+
+        before(function () {
+            scopes.registerScopeType('testcustom', {
+                idPrefix: '_testcustom_',
+                schema: {
+                    type: 'object',
+                    properties: {
+                        count: {type: 'number'}
+                    },
+                    additionalProperties: false
+                }
+            });
+            return scopes.getCustomScope(customBarrel, 'testcustom', 'one')
+                .then(
+                    function (theScope) {
+                        scope = theScope;
+                        return scope.invalidate();
+                    });
+        });
+
+        after(function () {
+            scopes.unregisterScopeType('testcustom');
+        });
+
+        it('valid attribute', function () {
+            return scope.setAttribute('count', 1)
+                .then(
+                    function (setAttribute) {
+                        assert.equal(setAttribute.count, 1);
+                    });
+        });
+
+        it('invalid attribute', function () {
+            return scope.setAttribute('count', 'one')
+                .then(
+                    function () {
+                        assert.fail('should not set');
+                    },
+                    function (err) {
+                        assert.equal(err.status, 400);
+                    });
+        });
+
+        it('unknown attribute', function () {
+            return scope.setAttributes({other: 1})
+                .then(
+                    function () {
+                        assert.fail('should not set');
+                    },
+                    function (err) {
+                        assert.equal(err.status, 400);
+                    });
+        });
+
+        it('accessed field is dropped with its type', function () {
+
+            scopes.registerScopeType('testaccessed', {
+                idPrefix: '_testaccessed_',
+                accessedField: '_testAccessedLastModified'
+            });
+
+            return scopes.getScope(accountId, realmId, '_testaccessed_one', '_testAccessedLastModified')
+                .then(
+                    function () {
+                        scopes.unregisterScopeType('testaccessed');
+                        return scopes.getScope(accountId, realmId, '_testaccessed_one', '_testAccessedLastModified');
+                    })
+                .then(
+                    function () {
+                        assert.fail('should not get');
+                    },
+                    function (err) {
+                        assert.equal(err, 'unknown lastAccessedField: _testAccessedLastModified');
+                    });
+        });
+
+    });
+
+    describe('export and import', function () {
+
+        var templateBarrel = {
+            accountId: accountId,
+            realmId: realmId
+        };
+
+        var targetBarrel = {
+            accountId: accountId,
+            realmId: 'scopestargetrealm'
+        };
+
+        before(function () {
+            return Promise.all([scopes.invalidateRealm(templateBarrel), scopes.invalidateRealm(targetBarrel)])
+                .then(
+                    function () {
+                        return Promise.all([
+                            scopes.setRealmAttribute(templateBarrel, testAttributeKey, testAttributeValue),
+                            scopes.setRealmAttribute(targetBarrel, anotherAttributeKey, anotherAttributeValue)
+                        ]);
+                    });
+        });
+
+        it('export', function () {
+            return scopes.exportScopes(accountId, realmId, ['realm'])
+                .then(
+                    function (exported) {
+                        assert.equal(exported.scopes.length, 1);
+                        assert.equal(exported.scopes[0].scope, 'realm');
+                        assert.deepEqual(exported.scopes[0].attributes, {testAttributeKey: testAttributeValue});
+                    });
+        });
+
+        it('skip existing', function () {
+            return scopes.cloneScopes(accountId, realmId, accountId, targetBarrel.realmId, ['realm'], {policy: 'skip'})
+                .then(
+                    function (report) {
+                        assert.deepEqual(report.skipped, ['_realm_' + targetBarrel.realmId]);
+                        return scopes.getRealmAttribute(targetBarrel, testAttributeKey);
+                    })
+                .then(
+                    function (noValue) {
+                        assert(!noValue);
+                    });
+        });
+
+        it('merge', function () {
+            return scopes.cloneScopes(accountId, realmId, accountId, targetBarrel.realmId, ['realm'], {policy: 'merge'})
+                .then(
+                    function () {
+                        return scopes.getRealmAttributes(targetBarrel);
+                    })
+                .then(
+                    function (attributes) {
+                        assert.strictEqual(attributes[testAttributeKey], testAttributeValue);
+                        assert.strictEqual(attributes[anotherAttributeKey], anotherAttributeValue);
+                    });
+        });
+
+        it('overwrite', function () {
+            return scopes.cloneScopes(accountId, realmId, accountId, targetBarrel.realmId, ['realm'], {policy: 'overwrite'})
+                .then(
+                    function () {
+                        return scopes.getRealmAttributes(targetBarrel);
+                    })
+                .then(
+                    function (attributes) {
+                        assert.deepEqual(attributes, {testAttributeKey: testAttributeValue});
+                    });
+        });
+
+    });
+
+    describe('limits', function () {
+
+        var userBarrel = {
+            accountId: accountId,
+            realmId: realmId,
+            username: 'scopeslimituser'
+        };
+
+        before(function () {
+            config.scopes.limits.user = {maxAttributes: 2, maxValueSize: 100, maxDocumentSize: 0};
+            return scopes.invalidateUser(userBarrel);
+        });
+
+        after(function () {
+            delete config.scopes.limits.user;
+        });
+
+        it('too many attributes', function () {
+            return scopes.setUserAttributes(userBarrel, {one: 1, two: 2})
+                .then(
+                    function () {
+                        return scopes.setUserAttribute(userBarrel, 'three', 3);
+                    })
+                .then(
+                    function () {
+                        assert.fail('should not set');
+                    },
+                    function (err) {
+                        assert(err instanceof scopes.ScopeLimitError);
+                        assert.equal(err.message, 'scopeAttributeLimitExceeded');
+                    });
+        });
+
+        it('value too large', function () {
+            return scopes.setUserAttribute(userBarrel, 'one', new Array(200).join('x'))
+                .then(
+                    function () {
+                        assert.fail('should not set');
+                    },
+                    function (err) {
+                        assert(err instanceof scopes.ScopeLimitError);
+                        assert.equal(err.message, 'scopeValueSizeLimitExceeded');
+                    });
+        });
+
+        it('value too large without other limits', function () {
+            config.scopes.limits.user = {maxValueSize: 100};
+            return scopes.setUserAttribute(userBarrel, 'four', new Array(200).join('x'))
+                .then(
+                    function () {
+                        assert.fail('should not set');
+                    },
+                    function (err) {
+                        config.scopes.limits.user = {maxAttributes: 2, maxValueSize: 100, maxDocumentSize: 0};
+                        assert(err instanceof scopes.ScopeLimitError);
+                        assert.equal(err.message, 'scopeValueSizeLimitExceeded');
+                    });
+        });
+
+        it('usage', function () {
+            return scopes.getScopeUsage(accountId, realmId)
+                .then(
+                    function (usages) {
+                        assert.equal(usages[0].scopeId, userBarrel.username);
+                        assert.equal(usages[0].usage, 1);
+                    });
+        });
+
+    });
+
+    describe('snapshot', function () {
+
+        var snapshotBarrel = {
+            accountId: accountId,
+            realmId: realmId,
+            username: 'scopessnapshotuser',
+            transactionId: 'snapshotTransactionId'
+        };
+
+        before(function () {
+            return Promise.all([
+                scopes.invalidateTransaction(snapshotBarrel),
+                scopes.invalidateUser(snapshotBarrel),
+                scopes.invalidateRealm(snapshotBarrel)
+            ])
+                .then(
+                    function () {
+                        return Promise.all([
+                            scopes.setTransactionAttribute(snapshotBarrel, testAttributeKey, 'transactionValue'),
+                            scopes.setUserAttribute(snapshotBarrel, testAttributeKey, 'userValue')
+                        ]);
+                    });
+        });
+
+        it('get several scopes', function () {
+            return scopes.snapshot(snapshotBarrel, ['transaction', 'user', 'realm'])
+                .then(
+                    function (result) {
+                        assert.deepEqual(result.transaction, {testAttributeKey: 'transactionValue'});
+                        assert.deepEqual(result.user, {testAttributeKey: 'userValue'});
+                        assert('realm' in result);
+                        assert.strictEqual(result.realm, undefined);
+                    });
+        });
+
+    });
+
+    describe('backends', function () {
+
+        var memoryBarrel = {
+            accountId: accountId,
+            realmId: realmId,
+            transactionId: 'memoryTransactionId'
+        };
+
+        var backends = config.scopes.backends;
+
+        before(function () {
+            config.scopes.backends = {default: backends.default, transaction: 'memory'};
+        });
+
+        after(function () {
+            config.scopes.backends = backends;
+        });
+
+        function getMemoryStore() {
+            return new Promise(function (resolve, reject) {
+                scopeBackends.getStore('memory', accountId, realmId, function (err, store) {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    resolve(store);
+                });
+            });
+        }
+
+        it('selected by scope type', function () {
+            return scopes.setTransactionAttribute(memoryBarrel, testAttributeKey, testAttributeValue)
+                .then(
+                    function () {
+                        return getMemoryStore();
+                    })
+                .then(
+                    function (store) {
+                        return store.findScope(memoryBarrel.transactionId, new Date());
+                    })
+                .then(
+                    function (doc) {
+                        assert(doc);
+                        assert.equal(doc[testAttributeKey], testAttributeValue);
+                        return scopes.getTransactionAttribute(memoryBarrel, testAttributeKey);
+                    })
+                .then(
+                    function (value) {
+                        assert.equal(value, testAttributeValue);
+                        return scopes.invalidateTransaction(memoryBarrel);
+                    })
+                .then(
+                    function () {
+                        return scopes.getTransactionAttribute(memoryBarrel, testAttributeKey);
+                    })
+                .then(
+                    function (value) {
+                        assert.strictEqual(value, undefined);
+                    });
+        });
+
+        it('memory scopes expire', function () {
+            var store;
+            return getMemoryStore()
+                .then(
+                    function (memoryStore) {
+                        store = memoryStore;
+                        return store.updateScope('expiringScope', {
+                            $set: {testAttributeKey: testAttributeValue, _scopeExpires: new Date(Date.now() - 1000)}
+                        }, {upsert: true});
+                    })
+                .then(
+                    function () {
+                        return store.findScope('expiringScope', new Date());
+                    })
+                .then(
+                    function (doc) {
+                        assert.strictEqual(doc, undefined);
+                        return store.removeExpiredScope('expiringScope', new Date());
+                    })
+                .then(
+                    function () {
+                        return store.findAllScopes();
+                    })
+                .then(
+                    function (docs) {
+                        assert(!docs.some(function (doc) {
+                            return doc._scopeId === 'expiringScope';
+                        }));
+                    });
+        });
+
+        it('unknown backend', function () {
+            config.scopes.backends.transaction = 'unknown';
+            return scopes.getTransactionAttribute(memoryBarrel, testAttributeKey)
+                .then(
+                    function () {
+                        assert.fail('should not get scope');
+                    },
+                    function (err) {
+                        assert(err instanceof Error);
+                    });
+        });
+
+    });
+
 });
\ No newline at end of file
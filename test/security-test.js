@@ -0,0 +1,280 @@
+var assert = require('assert');
+var crypto = require('crypto');
+var config = require('../lib/config');
+var security = require('../lib/security');
+
+//The legacy values were encrypted with AES-256-CBC using a key and IV derived
+//from the secret with EVP_BytesToKey (MD5, no salt).  Like the original encrypt,
+//this throws away what cipher.update returns so only the last block is kept.
+function legacyEncrypt(text, secret) {
+    var material = Buffer.alloc(0);
+    var block = Buffer.alloc(0);
+    while (material.length < 48) {
+        block = crypto.createHash('md5').update(Buffer.concat([block, Buffer.from(secret)])).digest();
+        material = Buffer.concat([material, block]);
+    }
+    var cipher = crypto.createCipheriv('aes-256-cbc', material.slice(0, 32), material.slice(32, 48));
+    cipher.update(text, 'utf8', 'base64');
+    return cipher.final('base64');
+}
+
+//Made with the original encrypt, which Node 22 can no longer run:
+//
+//  var cipher = crypto.createCipher('aes-256-cbc', 'a secret for testing');
+//  cipher.update(text, 'utf8', 'base64');
+//  var encryptedText = cipher.final('base64');
+var LEGACY_FIXTURES = {
+    'legacy': 'W+h7gxjw26YYGZ3XqQK1AQ==',
+    'exactly16bytes!!': 'sDEfOZF5b3D0q46E+lRxi5k=',
+    'some text that is longer than a single cipher block': 'O202+QUM508hZHyuQVPgug=='
+};
+
+var title = 'Security';
+
+describe(title, function () {
+
+    var secret = 'a secret for testing';
+    var text = 'some text that is longer than a single cipher block';
+
+    describe('encryption', function () {
+
+        it('round trip', function (done) {
+            var encrypted = security.encrypt(text, secret);
+            assert.notStrictEqual(encrypted, text);
+            assert.strictEqual(security.decrypt(encrypted, secret), text);
+            done();
+        });
+
+        it('envelope', function (done) {
+            var envelope = security.parseEnvelope(security.encrypt(text, secret, 'myKey'));
+            assert.strictEqual(envelope.version, 'v1');
+            assert.strictEqual(envelope.keyId, 'myKey');
+            assert.strictEqual(envelope.iv.length, 12);
+            assert.strictEqual(envelope.authTag.length, 16);
+            done();
+        });
+
+        it('random iv', function (done) {
+            assert.notStrictEqual(security.encrypt(text, secret), security.encrypt(text, secret));
+            done();
+        });
+
+        it('wrong secret', function (done) {
+            var encrypted = security.encrypt(text, secret);
+            assert.throws(function () {
+                security.decrypt(encrypted, 'not the secret');
+            });
+            done();
+        });
+
+        it('tampered', function (done) {
+            var parts = security.encrypt(text, secret).split(':');
+            parts[6] = Buffer.from('tampered text').toString('base64');
+            assert.throws(function () {
+                security.decrypt(parts.join(':'), secret);
+            });
+            done();
+        });
+
+        it('legacy', function (done) {
+            var legacy = legacyEncrypt('legacy', secret);
+            assert.strictEqual(legacy, LEGACY_FIXTURES.legacy);
+            assert(security.isLegacyEncrypted(legacy));
+            assert.strictEqual(security.decrypt(legacy, secret), 'legacy');
+            done();
+        });
+
+        it('legacy truncated', function (done) {
+
+            //Only values shorter than a block survived the original encrypt.
+            Object.keys(LEGACY_FIXTURES).forEach(function (plainText) {
+                assert.strictEqual(legacyEncrypt(plainText, secret), LEGACY_FIXTURES[plainText]);
+                assert(security.isLegacyEncrypted(LEGACY_FIXTURES[plainText]));
+            });
+
+            assert.throws(function () {
+                security.decrypt(LEGACY_FIXTURES['exactly16bytes!!'], secret);
+            });
+
+            assert.throws(function () {
+                security.decrypt(LEGACY_FIXTURES['some text that is longer than a single cipher block'], secret);
+            });
+
+            done();
+        });
+
+    });
+
+    describe('keyring', function () {
+
+        var properties = {
+            ENCRYPTION_KEY_one: 'the first key',
+            ENCRYPTION_KEY_two: 'the second key',
+            ENCRYPTION_ACTIVE_KEY: 'one',
+            ENCRYPTION_LEGACY_KEY: 'one'
+        };
+
+        it('load', function (done) {
+            var keyring = security.loadKeyring(properties);
+            assert.strictEqual(keyring.getActiveKeyId(), 'one');
+            assert.deepStrictEqual(keyring.getKeyIds().sort(), ['one', 'two']);
+            done();
+        });
+
+        it('missing active key', function (done) {
+            assert.throws(function () {
+                security.loadKeyring({ENCRYPTION_KEY_one: 'the first key', ENCRYPTION_ACTIVE_KEY: 'three'});
+            });
+            done();
+        });
+
+        it('rotate', function (done) {
+            var oldKeyring = security.loadKeyring(properties);
+            var encrypted = oldKeyring.encrypt(text);
+            assert.strictEqual(security.parseEnvelope(encrypted).keyId, 'one');
+
+            var newKeyring = security.loadKeyring(Object.assign({}, properties, {ENCRYPTION_ACTIVE_KEY: 'two'}));
+            assert.strictEqual(newKeyring.decrypt(encrypted), text);
+            assert(newKeyring.needsReencrypt(encrypted));
+
+            var reencrypted = newKeyring.reencrypt(encrypted);
+            assert.strictEqual(security.parseEnvelope(reencrypted).keyId, 'two');
+            assert(!newKeyring.needsReencrypt(reencrypted));
+            assert.strictEqual(newKeyring.reencrypt(reencrypted), reencrypted);
+            assert.strictEqual(newKeyring.decrypt(reencrypted), text);
+            done();
+        });
+
+        it('legacy', function (done) {
+            var keyring = security.loadKeyring(Object.assign({}, properties, {ENCRYPTION_ACTIVE_KEY: 'two'}));
+            var legacy = legacyEncrypt('legacy', 'the first key');
+            assert(keyring.needsReencrypt(legacy));
+            assert.strictEqual(keyring.decrypt(legacy), 'legacy');
+            assert.strictEqual(security.parseEnvelope(keyring.reencrypt(legacy)).keyId, 'two');
+            done();
+        });
+
+    });
+
+    describe('bcrypt', function () {
+
+        var password = 'a password';
+
+        it('hash and compare', function () {
+            return security.bcryption(password, 4)
+                .then(function (hash) {
+                    assert(hash);
+                    return Promise.all([
+                        security.bcompare(password, hash),
+                        security.bcompare('not the password', hash)
+                    ]);
+                })
+                .then(function (results) {
+                    assert.strictEqual(results[0], true);
+                    assert.strictEqual(results[1], false);
+                });
+        });
+
+        it('invalid hash', function () {
+            return security.bcompare(password, 'not a hash')
+                .then(
+                    function () {
+                        assert.fail('should not compare');
+                    },
+                    function (err) {
+                        assert(err instanceof Error);
+                    });
+        });
+
+        it('needs rehash', function (done) {
+            var hash = security.bcryptionSync(password, 4);
+            assert(security.needsRehash(hash, 5));
+            assert(!security.needsRehash(hash, 4));
+            done();
+        });
+
+    });
+
+    describe('passwords', function () {
+
+        var password = 'a password';
+
+        it('scrypt', function () {
+            var algorithm = config.security.passwordAlgorithm;
+            config.security.passwordAlgorithm = 'scrypt';
+            assert.strictEqual(security.getPasswordAlgorithm(), 'scrypt');
+            return security.hashPassword(password)
+                .then(function (hash) {
+                    assert(/^\$scrypt\$ln=\d+,r=\d+,p=\d+\$[^$]+\$[^$]+$/.test(hash));
+                    assert(!security.passwordNeedsUpgrade(hash));
+                    return Promise.all([
+                        security.verifyPassword(password, hash),
+                        security.verifyPassword('not the password', hash)
+                    ]);
+                })
+                .then(function (results) {
+                    config.security.passwordAlgorithm = algorithm;
+                    assert.strictEqual(results[0], true);
+                    assert.strictEqual(results[1], false);
+                }, function (err) {
+                    config.security.passwordAlgorithm = algorithm;
+                    throw err;
+                });
+        });
+
+        //argon2id is preferred when the service has installed argon2.
+        var argon2Installed = true;
+        try {
+            require.resolve('argon2');
+        } catch (e) {
+            argon2Installed = false;
+        }
+
+        it('default algorithm', function () {
+
+            var algorithm = config.security.passwordAlgorithm;
+            config.security.passwordAlgorithm = undefined;
+            var defaultAlgorithm = security.getPasswordAlgorithm();
+            config.security.passwordAlgorithm = algorithm;
+
+            assert.strictEqual(defaultAlgorithm, argon2Installed ? 'argon2id' : 'scrypt');
+        });
+
+        it('bcrypt without scrypt', function () {
+
+            var crypto = require('crypto');
+            var scrypt = crypto.scrypt;
+            var algorithm = config.security.passwordAlgorithm;
+
+            crypto.scrypt = undefined;
+            config.security.passwordAlgorithm = 'scrypt';
+            var fallback = security.getPasswordAlgorithm();
+            crypto.scrypt = scrypt;
+            config.security.passwordAlgorithm = algorithm;
+
+            assert.strictEqual(fallback, argon2Installed ? 'argon2id' : 'bcrypt');
+        });
+
+        it('bcrypt', function () {
+            var hash = security.bcryptionSync(password, 4);
+            assert(security.passwordNeedsUpgrade(hash));
+            return security.verifyPassword(password, hash)
+                .then(function (same) {
+                    assert.strictEqual(same, true);
+                });
+        });
+
+        it('unknown format', function () {
+            return security.verifyPassword(password, 'plain text')
+                .then(
+                    function () {
+                        assert.fail('should not verify');
+                    },
+                    function (err) {
+                        assert(err instanceof Error);
+                    });
+        });
+
+    });
+
+});